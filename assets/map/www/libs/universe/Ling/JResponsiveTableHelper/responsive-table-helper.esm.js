@@ -0,0 +1,27 @@
+/**
+ * Responsive table helper, ES module entry point
+ * ==============
+ *
+ * The same tool as responsive-table-helper.js (which is loaded here), for the front ends using native modules or a bundler,
+ * and for node (for instance to use the ResponsiveTableHelper.computeLayout function on the server).
+ * jquery is not required, see the "Using the tool without jquery" section of the README.
+ *
+ * ```js
+ * import ResponsiveTableHelper from './responsive-table-helper.esm.js';
+ *
+ * var rth = new ResponsiveTableHelper({
+ *     table: document.querySelector('#my-table'),
+ * });
+ * rth.listen();
+ * ```
+ */
+import * as umd from './responsive-table-helper.js';
+
+/**
+ * A bundler (or node) gives us the CommonJS export of the UMD file as the default export,
+ * whereas a browser runs it as a plain script, which only defines window.ResponsiveTableHelper.
+ */
+var ResponsiveTableHelper = umd.default || ('undefined' !== typeof window ? window.ResponsiveTableHelper : undefined);
+
+export {ResponsiveTableHelper};
+export default ResponsiveTableHelper;
@@ -36,7 +36,8 @@
  * And all the tr of the sub row which are still present in the horizontal row are hidden in the vertical subrow, live.
  *
  *
- * Whenever the subrow is available, a column containing a toggler plus button is prepended to every row.
+ * Whenever the subrow is available, a column containing a toggler plus button is added to every row
+ * (as the first column by default, see the togglePosition option).
  *
  *
  *
@@ -46,7 +47,8 @@
  * The trick below is somehow complex if you don't know what's going on, so here it is:
  * - When a subrow is expanded/created, it's all created inside a td (i.e. the content table is nested inside the unique td of the subrow).
  * - At the same time, when you resize the screen, if there is no column to hide, the first td|th of every row is hidden
- *          by the horizontal treatment (to remove/add the plus toggle button column).
+ *          by the horizontal treatment (to remove/add the plus toggle button column, which is not always the first one,
+ *          but the idea is the same).
  *
  * And so, when there is no column to hide, the subrow will disappear (i.e. it's hidden to be precise), because of that horizontal treatment.
  * So, that's why the subrow disappears.
@@ -89,9 +91,24 @@
  *
  *
  */
-if ('undefined' === typeof ResponsiveTableHelper) {
-    (function () {
-        var $ = jQuery;
+(function (root) {
+    /**
+     * Returns the ResponsiveTableHelper class, working with the given window.
+     */
+    var factory = function (window) {
+        /**
+         * Used to give each instance its own events namespace, so that destroying an instance
+         * doesn't unbind the window listeners of the other instances.
+         */
+        var instanceCounter = 0;
+
+
+        /**
+         * The property of the table elements holding their instance, see the ResponsiveTableHelper.getInstance method.
+         * The instance is stored on its table rather than in a list, so that a table removed from the page without calling
+         * the destroy method (when a single page application swaps its views for instance) is garbage collected along with its instance.
+         */
+        var instanceProperty = 'responsiveTableHelper';
 
 
         function sortNumber(a, b) {
@@ -99,515 +116,4057 @@ if ('undefined' === typeof ResponsiveTableHelper) {
         }
 
 
-        window.ResponsiveTableHelper = function (options) {
-            this.options = $.extend({}, window.ResponsiveTableHelper._defaults, options);
-            this.jTable = this.options.jTable;
+        /**
+         * Returns jquery if it's loaded, or null.
+         *
+         * This tool works on the dom elements, jquery is only used (when it's loaded) to bind the events (see the addListener method),
+         * and to wrap the elements passed to the callbacks and returned by the methods (see the wrap method),
+         * so that the existing pages keep working.
+         *
+         * It's looked up every time an instance is created (not when this file is loaded), so that jquery can be loaded after this file.
+         *
+         * @returns function|null
+         */
+        function getJquery() {
+            var jQuery = window.jQuery;
+            return ('function' === typeof jQuery && jQuery.fn) ? jQuery : null;
+        }
 
 
-            /**
-             * Unfortunately, I found that I needed the clone to get the best out of this tool.
-             * Without it, the breakpoints strategy works less efficiently (i.e. you still have to scroll
-             * some for certain columns).
-             * The clone strategy is: when a breakpoint is crossed, show the clone very quickly
-             * to peak the right columns dimensions (for new calculations), then hide it again.
-             *
-             * Fortunately, I tested in firefox and chrome, and I couldn't notice the appearance
-             * of the clone at all (man those browsers are fast). I don't know about explorer.
-             *
-             *
-             */
-            this.jTableClone = this.jTable.clone();
-            this.jTableClone.addClass("responsive-clone");
+        /**
+         * Returns the array of the elements designated by the given target, which can be:
+         *
+         * - a dom element (or the window)
+         * - an array-like of elements: a jquery object, a NodeList, an array
+         * - a css selector
+         * - null or undefined (then the array is empty)
+         *
+         * @param target
+         * @returns array
+         */
+        function getElements(target) {
+            if (null === target || undefined === target) {
+                return [];
+            }
+            if ('string' === typeof target) {
+                target = window.document.querySelectorAll(target);
+            } else if (target.nodeType || target === target.window) {
+                return [target];
+            }
+            return Array.prototype.slice.call(target).filter(function (element) {
+                return null !== element && undefined !== element;
+            });
+        }
 
-            this.jTable.after(this.jTableClone);
 
+        /**
+         * Returns the first element designated by the given target (see the getElements function), or null.
+         *
+         * @param target
+         * @returns HTMLElement|null
+         */
+        function getElement(target) {
+            return getElements(target)[0] || null;
+        }
 
 
-            this.jTableContainer = this.options.jTableContainer;
-            if (null === this.jTableContainer) {
-                this.jTableContainer = this.jTable.parent();
+        /**
+         * Returns whether the given node is an element matching the given css selector.
+         *
+         * @param node
+         * @param selector
+         * @returns bool
+         */
+        function matches(node, selector) {
+            if (!node || 1 !== node.nodeType) {
+                return false;
             }
-            this.firstListenCall = true;
-            this.breakpointLowBoundary = false; // false stands for not used
-            this.breakpointHighBoundary = false;
+            return (node.matches || node.msMatchesSelector).call(node, selector);
+        }
 
 
-        };
-        window.ResponsiveTableHelper.prototype = {
-            hideColumns: function (hideColumnIndexes) {
-                this.jTable.find('tr').each(function () {
-                    $(this).find('> th, > td').each(function (index) {
-                        if (-1 !== hideColumnIndexes.indexOf(index)) {
-                            $(this).hide();
-                        } else {
-                            $(this).show();
-                        }
-                    });
-                });
-            },
-            /**
-             * Adds a column BEFORE the given position (0-based index).
-             * To append a column AFTER the last column, use position = null.
-             *
-             *
-             * Note that the technique used is to clone the first cell of each tr (so that if
-             * you have some special css class on them, we keep the style by default).
-             *
-             *
-             * The content can be one of:
-             *
-             * - string: the html inner content of the cell.
-             * - array:
-             *      - 0: string, the html inner content of the cell if it's a th
-             *      - 1: string, the html inner content of the cell if it's a td
-             * - callback: function( jCell, jTr ) {}
-             *              This callback returns the whole cell, including the wrapping td or th.
-             *
-             *
-             *
-             * @param position
-             * @param content
-             */
-            addColumn: function (position, content) {
+        /**
+         * Returns the array of the children of the given element matching the given css selector.
+         *
+         * @param element
+         * @param selector
+         * @returns array
+         */
+        function getChildren(element, selector) {
+            return Array.prototype.filter.call(element.children, function (child) {
+                return matches(child, selector);
+            });
+        }
 
 
-                this.jTable.find('tr').each(function () {
-                    var jCells = $(this).find('> th, > td');
-                    var nbColumns = jCells.length;
+        /**
+         * Returns the closest element matching the given css selector, starting with the given node itself,
+         * and going up to (but not including) the given context element if any, or null if there is none.
+         *
+         * @param node
+         * @param selector
+         * @param context, HTMLElement (optional)
+         * @returns HTMLElement|null
+         */
+        function closest(node, selector, context) {
+            for (; node && node !== context; node = node.parentNode) {
+                if (true === matches(node, selector)) {
+                    return node;
+                }
+            }
+            return null;
+        }
 
 
-                    if (position > nbColumns - 1) {
-                        position = nbColumns - 1;
-                    }
+        /**
+         * Returns the array of the descendants of the given element matching the given css selector.
+         *
+         * @param element
+         * @param selector
+         * @returns array
+         */
+        function findAll(element, selector) {
+            return Array.prototype.slice.call(element.querySelectorAll(selector));
+        }
 
 
-                    var jClone = jCells.first().clone();
+        /**
+         * Returns a document fragment containing the given content, which can be an html string,
+         * or the elements designated by the given target (see the getElements function, the selectors excluded).
+         *
+         * @param content
+         * @returns DocumentFragment
+         */
+        function createFragment(content) {
+            if ('string' === typeof content || 'number' === typeof content) {
+                var template = window.document.createElement('template');
+                template.innerHTML = String(content);
+                return template.content;
+            }
+            var fragment = window.document.createDocumentFragment();
+            getElements(content).forEach(function (node) {
+                fragment.appendChild(node);
+            });
+            return fragment;
+        }
 
-                    // prepend mode
-                    if (null !== position) {
-                        jCells.eq(position).before(jClone);
-                    }
-                    // append mode
-                    else {
-                        jCells.last().after(jClone);
-                    }
 
-                    var jTheCell = jClone;
+        /**
+         * Returns the element created from the given html string (the first element if the html contains several).
+         *
+         * @param html
+         * @returns HTMLElement
+         */
+        function createElement(html) {
+            return createFragment(html).firstElementChild;
+        }
 
-                    if ('string' === typeof content) {
-                        jClone.html(content);
 
-                    } else if ('function' === typeof content) {
-                        var jCloneReplacement = $(content(jClone, $(this)));
-                        jTheCell = jCloneReplacement;
-                        jClone.replaceWith(jCloneReplacement);
-                    } else if ($.isArray(content)) {
-                        var newContent;
-                        if (true === jClone.is('th')) {
-                            newContent = content[0];
-                        } else {
-                            newContent = content[1];
+        /**
+         * Inserts the given node right after the given reference node.
+         *
+         * @param node
+         * @param reference
+         */
+        function insertAfter(node, reference) {
+            reference.parentNode.insertBefore(node, reference.nextSibling);
+        }
+
+
+        /**
+         * Removes the given node from the dom (if it's in the dom).
+         *
+         * @param node
+         */
+        function removeNode(node) {
+            if (node.parentNode) {
+                node.parentNode.removeChild(node);
+            }
+        }
+
+
+        /**
+         * Moves all the child nodes of the given source element to the end of the given target element.
+         *
+         * @param target
+         * @param source
+         */
+        function moveChildNodes(target, source) {
+            while (source.firstChild) {
+                target.appendChild(source.firstChild);
+            }
+        }
+
+
+        /**
+         * Removes the given class from the given element, and its class attribute if it's empty then
+         * (so that the elements this tool touched are left as they were).
+         *
+         * @param element
+         * @param className
+         */
+        function removeClass(element, className) {
+            element.classList.remove(className);
+            if ('' === element.getAttribute('class')) {
+                element.removeAttribute('class');
+            }
+        }
+
+
+        /**
+         * Returns the width of the given element, including its padding and border (like the jquery outerWidth method),
+         * or the width of the viewport if the given element is the window.
+         *
+         * @param element
+         * @returns number
+         */
+        function getOuterWidth(element) {
+            if (element === element.window) {
+                return element.document.documentElement.clientWidth;
+            }
+            return element.getBoundingClientRect().width;
+        }
+
+
+        /**
+         * Returns the width of the content box of the given element (like the jquery width method).
+         *
+         * @param element
+         * @returns number
+         */
+        function getContentWidth(element) {
+            var style = window.getComputedStyle(element);
+            return element.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+        }
+
+
+        /**
+         * Copies the properties of the given sources into the given target object (a shallow copy), and returns the target.
+         * The sources which are null or undefined are ignored.
+         *
+         * @param target
+         * @returns object
+         */
+        function extend(target) {
+            for (var i = 1; i < arguments.length; i++) {
+                var source = arguments[i];
+                if (null !== source && undefined !== source) {
+                    for (var key in source) {
+                        if (Object.prototype.hasOwnProperty.call(source, key)) {
+                            target[key] = source[key];
                         }
-                        jClone.html(newContent);
                     }
+                }
+            }
+            return target;
+        }
 
 
-                    jTheCell.addClass('rth-plus-column');
+        /**
+         * Returns whether the given value is a plain object (an object literal, or the result of JSON.parse for instance).
+         *
+         * @param value
+         * @returns bool
+         */
+        function isPlainObject(value) {
+            if ('[object Object]' !== Object.prototype.toString.call(value)) {
+                return false;
+            }
+            var proto = Object.getPrototypeOf(value);
+            // the objects created in another frame have another Object.prototype
+            return null === proto || null === Object.getPrototypeOf(proto);
+        }
 
-                });
-            },
 
-            /**
-             * Returns a map of column index (0-based) => width in pixel.
-             *
-             */
-            getColumnMinWidths: function () {
+        /**
+         * Returns the number of columns covered by the given cell (dom element).
+         * If the colspan has been shrunk by this tool, the original colspan is returned (see the hideColumns method).
+         *
+         * @param cell
+         * @returns number
+         */
+        function getCellColspan(cell) {
+            var colspan = cell.getAttribute('data-rth-colspan');
+            if (null === colspan) {
+                colspan = cell.getAttribute('colspan');
+            }
+            return parseInt(colspan, 10) || 1;
+        }
 
 
+        /**
+         * Sets the colspan of the given cell (dom element) to the given number of visible columns.
+         * The original colspan is stored in the data-rth-colspan attribute while it's shrunk (an attribute rather than
+         * a property, so that it survives the cloning of the table).
+         *
+         * @param cell
+         * @param nbVisibleColumns
+         * @param span, the original number of columns covered by the cell
+         */
+        function setCellColspan(cell, nbVisibleColumns, span) {
+            var originalColspan = cell.getAttribute('data-rth-colspan');
+            if (nbVisibleColumns === span) {
+                if (null !== originalColspan) {
+                    cell.setAttribute('colspan', originalColspan);
+                    cell.removeAttribute('data-rth-colspan');
+                }
+            } else {
+                if (null === originalColspan) {
+                    cell.setAttribute('data-rth-colspan', cell.getAttribute('colspan'));
+                }
+                cell.setAttribute('colspan', nbVisibleColumns);
+            }
+        }
 
-                var colWidths = {};
-                this.jTableClone.show();
-                var jTr = this.jTableClone.find('tr').first();
-                var jCells = jTr.find('> th, > td');
-                jCells.each(function (index) {
-                    colWidths[index] = $(this).outerWidth();
-                });
-                this.jTableClone.hide();
-                return colWidths;
-            },
-            /**
-             * This is the only method we need to use for a normal use of this tool.
-             *
-             * It prepares the table for responsiveness.
-             *
-             */
-            listen: function () {
 
+        /**
+         * Returns the array of the rows of the given table (dom element), in the dom order: the rows of its thead, tbody
+         * and tfoot elements, and its direct tr children.
+         *
+         * The rows of the tables nested in the cells (including the tables generated in the sub rows) are not included,
+         * so that a nested table (responsive or not) is never handled as a part of the table.
+         *
+         * @param table
+         * @returns array
+         */
+        function getOwnRows(table) {
+            var rows = [];
+            Array.prototype.forEach.call(table.children, function (child) {
+                if ('TR' === child.tagName) {
+                    rows.push(child);
+                } else if ('THEAD' === child.tagName || 'TBODY' === child.tagName || 'TFOOT' === child.tagName) {
+                    Array.prototype.forEach.call(child.children, function (row) {
+                        if ('TR' === row.tagName) {
+                            rows.push(row);
+                        }
+                    });
+                }
+            });
+            return rows;
+        }
 
-                var $this = this;
 
+        /**
+         * Returns the array of the cells (th and td) of the given rows (array of tr).
+         *
+         * @param rows
+         * @returns array
+         */
+        function getRowsCells(rows) {
+            var cells = [];
+            rows.forEach(function (tr) {
+                cells.push.apply(cells, getChildren(tr, 'th, td'));
+            });
+            return cells;
+        }
 
-                if (true === this.firstListenCall) {
 
-                    var labels = this.options.columnLabels;
-                    if ('auto' === labels) {
-                        labels = [];
-                        var jTr = this.jTable.find("tr:first");
-                        if (jTr.length) {
-                            jTr.find('> th, > td').each(function () {
-                                labels.push($(this).text().trim());
-                            });
+        /**
+         * Restores the original colspan of the cells shrunk by the setCellColspan function, in the given table
+         * (its nested tables are not concerned).
+         *
+         * @param table
+         */
+        function restoreCellColspans(table) {
+            getRowsCells(getOwnRows(table)).forEach(function (cell) {
+                var colspan = cell.getAttribute('data-rth-colspan');
+                if (null !== colspan) {
+                    cell.setAttribute('colspan', colspan);
+                    cell.removeAttribute('data-rth-colspan');
+                }
+            });
+        }
+
+
+        /**
+         * Returns the column grid of the given rows (array of tr, all in the same table, in the dom order).
+         *
+         * The column grid maps every cell to the logical columns it covers (taking the colspan and rowspan attributes
+         * into account), it's an object with the following properties:
+         *
+         * - trs: array of the tr (dom elements)
+         * - rows: array of array of items, one array per tr, containing the items for the cells of this tr (in the dom order).
+         *      An item is an object:
+         *          - cell: the cell (dom element)
+         *          - start: the 0-based index of the first logical column covered by the cell
+         *          - span: the number of logical columns covered by the cell
+         * - matrix: array of array of items, matrix[rowIndex][columnIndex] being the item covering that slot (if any).
+         *      This includes the cells spanning from the rows above (rowspan).
+         * - nbColumns: the number of logical columns
+         *
+         * Note: a rowspan doesn't go beyond the rows of its own section (thead, tbody, tfoot).
+         *
+         * @param trs
+         * @returns object
+         */
+        function getColumnGrid(trs) {
+            var rows = [];
+            var matrix = [];
+            var nbColumns = 0;
+            for (var r = 0; r < trs.length; r++) {
+                matrix[r] = matrix[r] || [];
+            }
+
+            trs.forEach(function (tr, r) {
+                var items = [];
+                var col = 0;
+                getChildren(tr, 'th, td').forEach(function (cell) {
+                    while (matrix[r][col]) {
+                        col++;
+                    }
+                    var item = {
+                        cell: cell,
+                        start: col,
+                        span: getCellColspan(cell),
+                    };
+                    var rowspan = parseInt(cell.getAttribute('rowspan'), 10) || 1;
+                    for (var i = 0; i < rowspan && r + i < trs.length && trs[r + i].parentNode === tr.parentNode; i++) {
+                        for (var j = 0; j < item.span; j++) {
+                            matrix[r + i][col + j] = item;
                         }
-                        this.options.columnLabels = labels;
                     }
+                    items.push(item);
+                    col += item.span;
+                    if (col > nbColumns) {
+                        nbColumns = col;
+                    }
+                });
+                rows.push(items);
+            });
 
+            return {
+                trs: trs,
+                rows: rows,
+                matrix: matrix,
+                nbColumns: nbColumns,
+            };
+        }
 
-                    // translate the collapsible column indexes if necessary
-                    var collapsibleColumnIndexes = this.options.collapsibleColumnIndexes;
-                    if ('admin' === collapsibleColumnIndexes) {
-                        var jFirstTr = this.jTable.find('tr:first');
-                        if (jFirstTr.length) {
-                            var nbUserCols = jFirstTr.find('> td, > th').length;
 
-                            /**
-                             *
-                             * - minus one because the plus column is added
-                             * - minus one because the collapsibleColumnIndexes is 0-based index
-                             */
-                            var max = nbUserCols - 2;
-                            collapsibleColumnIndexes = [];
-                            for (var i = max; i > 1; i--) { // we preserve two more fields here, no particular reason
-                                collapsibleColumnIndexes.push(i);
-                            }
-                        }
+        /**
+         * Puts the plus cells of the given column grid (see the getColumnGrid function) in the plus column (the given column grid index).
+         *
+         * In a row where a cell spans across the position of the plus column (see the togglePosition option), the plus cell
+         * is put right before the spanning cell, so both cells swap their slots in the grid: the plus cell gets the slot
+         * of the plus column, and the spanning cell starts at the slot of the plus cell.
+         * That way, the spanning cell covers the same columns as in the other rows (the plus column excluded, see the
+         * getUserColumnIndex method), and the plus cell is shown and hidden along with the plus column.
+         *
+         * @param grid
+         * @param plusColumnIndex
+         */
+        function alignPlusCells(grid, plusColumnIndex) {
+            grid.rows.forEach(function (items, r) {
+                var slots = grid.matrix[r];
+                items.forEach(function (item) {
+                    var start = item.start;
+                    if (start >= plusColumnIndex || false === item.cell.classList.contains('rth-plus-column')) {
+                        return;
+                    }
+                    var spanningItem = slots[plusColumnIndex];
+                    if (undefined === spanningItem || spanningItem.span < 2 || item !== slots[start]) {
+                        return;
+                    }
+                    slots[start] = spanningItem;
+                    slots[plusColumnIndex] = item;
+                    item.start = plusColumnIndex;
+                    // the item of a cell spanning multiple rows is shared by those rows
+                    if (start + 1 === spanningItem.start) {
+                        spanningItem.start = start;
+                    }
+                });
+            });
+        }
+
+
+        /**
+         * Returns a copy of the given state (see the getState method), with the missing properties set to their default values.
+         *
+         * @param state
+         * @returns object
+         */
+        function normalizeState(state) {
+            state = extend({}, state);
+            state.expandedRows = Array.isArray(state.expandedRows) ? state.expandedRows.map(String) : [];
+            var columns = {};
+            if (isPlainObject(state.columns)) {
+                Object.keys(state.columns).forEach(function (index) {
+                    var visibility = state.columns[index];
+                    if ('hidden' === visibility || 'pinned' === visibility) {
+                        columns[index] = visibility;
                     }
-                    this.collapsibleColumnIndexes = collapsibleColumnIndexes;
+                });
+            }
+            state.columns = columns;
+            return state;
+        }
+
 
+        /**
+         * Returns the indexes of the cheapest set of items which widths add up to at least the given needed width,
+         * or null if even all the items together are not wide enough.
+         *
+         * Each item has a width and a cost, the cost being an array of two numbers compared in order
+         * (the second number is only used to break the ties).
+         *
+         * The search is done in whole pixels (see the findCheapestPixelCover function), the widths being rounded.
+         * The rounding errors can add up though, so the freed width of the found set is checked with the real widths,
+         * and if it's a fraction of a pixel short, the search is done again asking for one more pixel.
+         *
+         * @param widths, array of numbers
+         * @param costs, array of [number, number]
+         * @param neededWidth, number
+         * @returns array|null, the indexes are in ascending order
+         */
+        function findCheapestCover(widths, costs, neededWidth) {
+            var pixelWidths = widths.map(function (width) {
+                return Math.round(width);
+            });
+            var totalWidth = pixelWidths.reduce(function (total, width) {
+                return total + width;
+            }, 0);
+
+            for (var target = Math.ceil(neededWidth); target <= totalWidth; target++) {
+                var indexes = findCheapestPixelCover(pixelWidths, costs, target);
+                if (null === indexes) {
+                    return null;
+                }
+                var freedWidth = 0;
+                indexes.forEach(function (i) {
+                    freedWidth += widths[i];
+                });
+                if (freedWidth >= neededWidth) {
+                    return indexes;
                 }
+            }
+            return null;
+        }
 
 
-                /**
-                 * Let's first add the column holding the plus buttons.
-                 * We'll hide it later maybe if not used, but at least I want it to be
-                 * considered in my resize computations.
-                 *
-                 */
-                this.addColumn(0, this.options.extraColumnContent);
+        /**
+         * Same as the findCheapestCover function, with widths in whole pixels.
+         *
+         * This is a knapsack like dynamic programming, based on the freed width capped to the needed width:
+         * the cheapest cost found so far for each freed width is kept in typed arrays (one slot per pixel),
+         * and the choices are recorded so that the set can be rebuilt at the end.
+         *
+         * @param widths, array of int
+         * @param costs, array of [number, number]
+         * @param neededWidth, int
+         * @returns array|null, the indexes are in ascending order
+         */
+        function findCheapestPixelCover(widths, costs, neededWidth) {
+            neededWidth = Math.max(0, neededWidth);
+            var size = neededWidth + 1;
+            var nbItems = widths.length;
 
+            // cost0[w], cost1[w]: the cost of the cheapest set found so far freeing the width w, Infinity if w is not reachable
+            var cost0 = new Float64Array(size);
+            var cost1 = new Float64Array(size);
+            for (var w = 1; w < size; w++) {
+                cost0[w] = Infinity;
+            }
+            // chosen[i * size + w]: 1 if the item i is part of the cheapest set freeing w (with the items 0 to i),
+            // from[i * size + w]: the width freed before adding the item i
+            var chosen = new Uint8Array(nbItems * size);
+            var from = new Int32Array(nbItems * size);
 
-                if (true === this.firstListenCall) {
-                    this.refreshNumbers();
+            for (var i = 0; i < nbItems; i++) {
+                // going down, every width is read before being updated for this item, so that each item is used once at most
+                for (w = neededWidth; w >= 0; w--) {
+                    if (Infinity === cost0[w]) {
+                        continue;
+                    }
+                    var target = Math.min(neededWidth, w + widths[i]);
+                    var c0 = cost0[w] + costs[i][0];
+                    var c1 = cost1[w] + costs[i][1];
+                    if (c0 < cost0[target] || (c0 === cost0[target] && c1 < cost1[target])) {
+                        cost0[target] = c0;
+                        cost1[target] = c1;
+                        chosen[i * size + target] = 1;
+                        from[i * size + target] = w;
+                    }
+                }
+            }
+
+            if (Infinity === cost0[neededWidth]) {
+                return null;
+            }
+            var indexes = [];
+            for (i = nbItems - 1, w = neededWidth; i >= 0; i--) {
+                if (1 === chosen[i * size + w]) {
+                    indexes.unshift(i);
+                    w = from[i * size + w];
                 }
+            }
+            return indexes;
+        }
 
 
-                //----------------------------------------
-                // redrawing
-                //----------------------------------------
-                if (this.availableWidth < this.columnsTotalWidth) {
-                    this.redraw();
+        /**
+         * Returns the indexes of the columns to collapse, picked amongst the given collapsible columns (ordered by collapse priority),
+         * so that at least the given width is freed. See the collapseStrategy option.
+         *
+         * If even collapsing all the given columns doesn't free enough width, they are all collapsed.
+         *
+         * @param minWidths, object|array, column index => width
+         * @param collapsibleColumnIndexes, array
+         * @param neededWidth, the width to free
+         * @param strategy, string, priority|fewestColumns|weighted
+         * @param weights, object|array, column index => weight (used by the fewestColumns and weighted strategies)
+         * @returns array
+         */
+        function getColumnsToCollapse(minWidths, collapsibleColumnIndexes, neededWidth, strategy, weights) {
+            var columnsToCollapse = [];
+            var getWidth = function (index) {
+                if (false === (index in minWidths)) {
+                    throw new Error("ResponsiveTableHelper error: The column with index " + index + " was not defined in minWidths.");
                 }
+                return minWidths[index];
+            };
 
-                if (true === this.firstListenCall) {
+            if ('priority' === strategy) {
+                // the columns collapse in order, until the table fits
+                for (var i = 0; i < collapsibleColumnIndexes.length && neededWidth > 0; i++) {
+                    neededWidth -= getWidth(collapsibleColumnIndexes[i]);
+                    columnsToCollapse.push(collapsibleColumnIndexes[i]);
+                }
+                return columnsToCollapse;
+            }
 
-                    $(window).on('resize', function () {
-                        var windowNewSize = $(window).width();
-                        var sizeOffset = $this.initWindowWidth - windowNewSize;
-                        $this.availableWidth = $this.originalAvailableWidth - sizeOffset;
+            if ('fewestColumns' !== strategy && 'weighted' !== strategy) {
+                throw new Error("ResponsiveTableHelper error: Unknown collapse strategy: " + strategy + ", use priority, fewestColumns or weighted.");
+            }
+            if (neededWidth <= 0) {
+                return [];
+            }
 
 
-                        if ($this.isBreakpointsBoundaryCrossed(windowNewSize)) {
-                            $this.refreshNumbers();
-                        }
+            /**
+             * Both strategies look for the cheapest set of columns freeing enough width, they just don't count the cost
+             * the same way: fewestColumns minimizes the number of columns first, and then the weight,
+             * whereas weighted minimizes the weight first, and then the number of columns.
+             */
+            var widths = [];
+            var costs = [];
+            collapsibleColumnIndexes.forEach(function (index, rank) {
+                // by default, the weight is the rank of the column in the collapse order
+                var weight = (weights && undefined !== weights[index]) ? parseFloat(weights[index]) : rank + 1;
+                widths.push(getWidth(index));
+                costs.push(('fewestColumns' === strategy) ? [1, weight] : [weight, 1]);
+            });
 
+            var indexes = findCheapestCover(widths, costs, neededWidth);
+            if (null === indexes) {
+                return collapsibleColumnIndexes.slice();
+            }
+            return indexes.map(function (i) {
+                return collapsibleColumnIndexes[i];
+            });
+        }
 
-                        $this.redraw();
 
-                    });
+        /**
+         * Returns whether a table should be displayed in card mode (see the cardModeThreshold option).
+         *
+         * @param availableWidth, the width available for the table (the padding already subtracted)
+         * @param columnsWidth, the width of the visible columns, once the collapsible columns are hidden
+         * @param threshold, null|number|auto
+         * @param padding, the padding option
+         * @returns bool
+         */
+        function isCardModeWidth(availableWidth, columnsWidth, threshold, padding) {
+            if ('auto' === threshold) {
+                return (availableWidth < columnsWidth);
+            }
+            if (null !== threshold && undefined !== threshold) {
+                // the padding was subtracted from the available width, but the threshold is about the container's width
+                return (availableWidth + padding < parseInt(threshold, 10));
+            }
+            return false;
+        }
+
+
+        /**
+         * Calls the given callback at the next animation frame (or in about 16ms if requestAnimationFrame is not supported),
+         * and returns the id to pass to the cancelFrame function.
+         *
+         * @param callback
+         * @returns int
+         */
+        function requestFrame(callback) {
+            if ('function' === typeof window.requestAnimationFrame) {
+                return window.requestAnimationFrame(callback);
+            }
+            return setTimeout(callback, 16);
+        }
 
 
+        /**
+         * Cancels a callback scheduled with the requestFrame function.
+         *
+         * @param id
+         */
+        function cancelFrame(id) {
+            if ('function' === typeof window.requestAnimationFrame) {
+                window.cancelAnimationFrame(id);
+            } else {
+                clearTimeout(id);
+            }
+        }
 
-                    this.jTable.on('click', '.rth-toggle-button', function () {
 
-                        var jTr = $(this).closest('tr');
+        /**
+         * Sets the rth-col-N class of the given cell (dom element), N being the given column grid index,
+         * and removes the rth-col-N class it had for another column if any.
+         * With a null column, the cell just loses its rth-col-N class.
+         *
+         * @param cell
+         * @param column, int|null
+         */
+        function setColumnClass(cell, column) {
+            if (null !== column && cell.classList.contains('rth-col-' + column)) {
+                return;
+            }
+            (cell.getAttribute('class') || '').split(/\s+/).forEach(function (className) {
+                if (/^rth-col-\d+$/.test(className)) {
+                    removeClass(cell, className);
+                }
+            });
+            if (null !== column) {
+                cell.classList.add('rth-col-' + column);
+            }
+        }
 
-                        if (false === jTr.hasClass('rth-expanded-row')) {
-                            jTr.addClass('rth-expanded-row');
-                            $this.addSubRow(jTr);
-                        } else {
-                            jTr.removeClass('rth-expanded-row');
-                            $this.removeSubRow(jTr);
-                        }
-                        return false;
-                    });
 
+        /**
+         * Returns the html of the content of the given cell (dom element), for the "copy" sub row mode (see the subRowMode option).
+         *
+         * The copy is dead, so what the instances of the nested tables added to them (the plus column with the toggle buttons,
+         * the sub rows and the table class hiding the columns) is left out, and so are the id attributes, which must stay
+         * unique in the page.
+         *
+         * @param cell
+         * @returns string
+         */
+        function getCellCopyHtml(cell) {
+            var copy = cell.cloneNode(true);
+            findAll(copy, '.rth-plus-column, .rth-sub-row, .rth-toggle-button, .rth-toggle-all-button').forEach(removeNode);
+            findAll(copy, '[id]').forEach(function (element) {
+                element.removeAttribute('id');
+            });
+            findAll(copy, 'table').forEach(function (table) {
+                (table.getAttribute('class') || '').split(/\s+/).forEach(function (className) {
+                    if (/^rth-table-\d+$/.test(className)) {
+                        removeClass(table, className);
+                    }
+                });
+                restoreCellColspans(table);
+            });
+            return copy.innerHTML;
+        }
 
-                    this.redraw();
+
+        /**
+         * Returns the given string with the html special chars escaped.
+         *
+         * @param str
+         * @returns string
+         */
+        function escapeHtml(str) {
+            if (null === str || undefined === str) {
+                return '';
+            }
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        }
+
+
+        /**
+         * Makes the given toggle element (dom element) usable as a button by assistive technologies and keyboard users,
+         * in case it's not a real button (for instance a link): adds the button role, makes it focusable,
+         * and gives it the given aria-label if it has no text.
+         *
+         * Note: the keyboard handling (Enter and Space keys) is done by the listen method.
+         *
+         * @param button
+         * @param label
+         */
+        function initToggleElement(button, label) {
+            if (false === matches(button, 'button')) {
+                if (false === button.hasAttribute('role')) {
+                    button.setAttribute('role', 'button');
+                }
+                if (false === matches(button, 'a[href]') && false === button.hasAttribute('tabindex')) {
+                    button.setAttribute('tabindex', '0');
                 }
+            }
+            if (false === button.hasAttribute('aria-label') && '' === button.textContent.trim()) {
+                button.setAttribute('aria-label', label);
+            }
+        }
 
-                this.firstListenCall = false;
-            },
-            refreshNumbers: function () {
-                this.originalAvailableWidth = this.jTableContainer.outerWidth();
-                this.initWindowWidth = $(window).width();
-                this.initializeBreakpointsBoundaries(this.initWindowWidth);
 
+        /**
+         * Returns the type of the given row, one of:
+         *
+         * - header: a row of the thead, or a row before the contentRowStartIndex, or a row without any td
+         * - footer: a row of the tfoot
+         * - full: a row with a single cell spanning all the columns (a "No results" row for instance),
+         *      there is nothing to collapse in such a row, so it's not a content row
+         * - content: any other row (i.e. a row which can be expanded)
+         *
+         * @param tr
+         * @param index, the 0-based index of the row amongst the table rows (the sub rows don't count)
+         * @param contentRowStartIndex
+         * @param nbColumns, the number of columns of the table (the plus column doesn't count)
+         * @returns string
+         */
+        function getRowType(tr, index, contentRowStartIndex, nbColumns) {
+            var section = tr.parentNode;
+            if (matches(section, 'thead')) {
+                return 'header';
+            }
+            if (matches(section, 'tfoot')) {
+                return 'footer';
+            }
+            if (index < contentRowStartIndex || 0 === getChildren(tr, 'td').length) {
+                return 'header';
+            }
+            var cells = getChildren(tr, 'th, td').filter(function (cell) {
+                return false === cell.classList.contains('rth-plus-column');
+            });
+            if (nbColumns > 1 && 1 === cells.length && getCellColspan(cells[0]) >= nbColumns) {
+                return 'full';
+            }
+            return 'content';
+        }
 
-                this.minWidths = this.getColumnMinWidths();
 
-                var padding = this.options.padding;
-                if ('auto' === padding) {
-                    for (var i in this.minWidths) {
-                        padding = this.minWidths[i];
+        /**
+         * Returns the options defined in the data-rth attribute of the given table (see the declarative configuration
+         * section in the ResponsiveTableHelper._defaults comments).
+         *
+         * @param table
+         * @returns object
+         */
+        function getTableAttributeOptions(table) {
+            var value = table.getAttribute('data-rth');
+            if (null !== value && '{' === value.trim().charAt(0)) {
+                try {
+                    var tableOptions = JSON.parse(value);
+                    if (isPlainObject(tableOptions)) {
+                        return tableOptions;
                     }
+                } catch (e) {
+                    // not json, like with jquery's data method, the attribute is ignored
                 }
-                this.originalAvailableWidth -= padding;
+            }
+            return {};
+        }
 
 
-                // the available width is dynamic, it's calculated as the window is resized.
-                this.availableWidth = this.originalAvailableWidth;
-                this.columnsTotalWidth = this.sum(this.minWidths);
-            },
-            initializeBreakpointsBoundaries: function (windowSize, force) {
-                // let's initialize boundaries now
-                if (false === this.breakpointLowBoundary || true === force) {
-                    var breakpoints = this.options.breakpoints.slice();
+        /**
+         * Returns whether the given dom element is visible (the same definition as the jquery :visible selector).
+         *
+         * @param element
+         * @returns bool
+         */
+        function isVisible(element) {
+            return !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+        }
 
-                    if (breakpoints.length) {
 
-                        breakpoints.sort(sortNumber);
-                        var lowLimit = 0;
-                        var highLimit = 0;
+        var ResponsiveTableHelper = function (options) {
+            options = options || {};
 
-                        for (var i in breakpoints) {
-                            var point = breakpoints[i];
+            /**
+             * The table and jTable options are two ways to pass the same table, this tool works on the table element.
+             */
+            var table = getElement(options.table || options.jTable);
+            if (null === table) {
+                throw new Error("ResponsiveTableHelper error: The table (or jTable) option must designate a table.");
+            }
 
-                            if (windowSize > point) {
-                                lowLimit = point;
-                            } else {
-                                highLimit = point;
-                                break;
-                            }
-                        }
+            /**
+             * A table is handled by one instance at a time, otherwise both instances would fight over the toggle buttons.
+             * Note: the responsiveTable plugin and the ResponsiveTableHelper.autoInit method skip the tables which already have one.
+             */
+            if (null !== ResponsiveTableHelper.getInstance(table)) {
+                throw new Error("ResponsiveTableHelper error: This table already has an instance (see ResponsiveTableHelper.getInstance), call its destroy method first.");
+            }
+
+            var tableOptions = getTableAttributeOptions(table);
+
+            /**
+             * The options explicitly set by the user (in js or in the data-rth attribute), as opposed to the default ones.
+             * The explicit options take precedence over the column attributes (data-rth-priority, ...).
+             */
+            this.explicitOptions = extend({}, tableOptions, options);
+            this.options = extend({}, ResponsiveTableHelper._defaults, this.explicitOptions);
+            this.userOptions = this.explicitOptions; // the explicit options, without the overrides of the active profile (see the profiles option)
+            this.$ = getJquery(); // null if jquery is not loaded
+            this.table = table;
+            this.jTable = this.wrap([table]); // kept for the existing code using it, this tool uses the table property
+
+            table[instanceProperty] = this;
+            this.columnLabels = [];
+            this.collapsibleColumnIndexes = [];
+            this.expandedColumnFilterIndexes = [];
+
+
+            this.tableContainer = (null === this.options.jTableContainer) ? table.parentNode : getElement(this.options.jTableContainer);
+            this.firstListenCall = true;
+            this.breakpointLowBoundary = false; // false stands for not used
+            this.breakpointHighBoundary = false;
+            this.id = ++instanceCounter;
+            this.eventNamespace = '.rth' + this.id;
+            this.subRowCounter = 0; // used to generate the sub row ids
+            this.subRowLinks = []; // {tr, subRow} objects, the sub rows and their source row, see the getSubRow method
+            this.liveRegion = null; // see the hiddenColumnsMessage option
+            this.listeners = []; // the events bound by this instance, see the addListener method
+            this.mutationObserver = null;
+            this.resizeObserver = null;
+            this.refreshTimeout = null;
+            this.hiddenColumnIndexes = null; // the user column indexes hidden by the last redraw, null until the first redraw
+            this.columnGrid = null; // see the getColumnGrid method
+            this.columnsToHide = []; // the column grid indexes hidden by the last redraw (the plus column included)
+            this.plusColumnIndex = 0; // the column grid index of the plus column, see the togglePosition option
+            this.cardMode = false; // see the cardModeThreshold option
+            this.state = null; // see the getState method, null means that the state is not used
+            this.columnVisibility = {}; // the user column indexes set to hidden or pinned, see the setColumnVisibility method
+            this.columnPickerElement = null; // see the columnPicker option
+            this.direction = 'ltr'; // see the direction option
+            this.tableClass = 'rth-table-' + this.id; // scopes the generated stylesheet, see the updateColumnStyle method
+            this.styleElement = null; // see the updateColumnStyle method
+            this.originalStyles = []; // [cell, style attribute] pairs, see the hideColumns method
+            this.originalDir = undefined; // see the refreshDirection method
+            this.appliedColumnsKey = null; // the hidden columns applied to the dom by the last redraw, see the redraw method
+            this.layoutCache = null; // {key, layout}, the last layout computed by the redraw method
+            this.redrawFrame = null; // see the scheduleRedraw method
+            this.profileIndex = -1; // the index of the active profile, -1 if none (see the profiles option)
+
+
+        };
+        ResponsiveTableHelper.prototype = {
+            /**
+             * Hides the given columns (0-based column grid indexes, the plus column included, see the getUserColumnIndex method),
+             * and shows the other ones.
+             *
+             * The columns are the logical columns of the column grid (see the getColumnGrid function), so that a cell spanning
+             * multiple columns (colspan) has its colspan shrunk when some of its columns are hidden, and is hidden only
+             * when all its columns are hidden.
+             *
+             * The other cells are hidden by a generated stylesheet (see the updateColumnStyle method).
+             *
+             * @param hideColumnIndexes
+             */
+            hideColumns: function (hideColumnIndexes) {
+                var $this = this;
+                this.updateColumnStyle(hideColumnIndexes);
+
+                /**
+                 * The cells spanning multiple columns can't be handled by the stylesheet, since their colspan must be shrunk.
+                 */
+                var grid = this.getColumnGrid();
+                if (undefined === grid.spanningItems) {
+                    grid.spanningItems = [];
+                    grid.rows.forEach(function (items) {
+                        items.forEach(function (item) {
+                            if (item.span > 1) {
+                                grid.spanningItems.push(item);
+                            }
+                        });
+                    });
+                }
+                grid.spanningItems.forEach(function (item) {
+                    var cell = item.cell;
+
+                    // remember the original style attribute, so that destroy can put it back
+                    var isKnown = $this.originalStyles.some(function (original) {
+                        return original.cell === cell;
+                    });
+                    if (false === isKnown) {
+                        $this.originalStyles.push({cell: cell, style: cell.getAttribute('style')});
+                    }
+
+                    // only the columns of the cell count, not the plus column (see the alignPlusCells function)
+                    var nbVisibleColumns = 0;
+                    var start = $this.getUserColumnIndex(item.start);
+                    for (var i = start; i < start + item.span; i++) {
+                        if (-1 === hideColumnIndexes.indexOf($this.getGridColumnIndex(i))) {
+                            nbVisibleColumns++;
+                        }
+                    }
+
+                    if (0 === nbVisibleColumns) {
+                        cell.style.display = 'none';
+                    } else {
+                        cell.style.display = '';
+                        setCellColspan(cell, nbVisibleColumns, item.span);
+                    }
+                });
+            },
+            /**
+             * Writes the stylesheet hiding the given columns (see the hideColumns method).
+             *
+             * Rather than hiding every cell one by one, every cell (which doesn't span multiple columns) gets
+             * a rth-col-N class (see the refreshColumnClasses method), and a stylesheet generated for this table
+             * hides the cells of the hidden columns: hiding or showing a column is then a single dom write,
+             * whatever the number of rows.
+             *
+             * The sub rows are hidden along with the plus column (see the implementation hint at the top of this file).
+             *
+             * @param hideColumnIndexes
+             */
+            updateColumnStyle: function (hideColumnIndexes) {
+                if (null === this.styleElement) {
+                    this.styleElement = window.document.createElement('style');
+                    if (null !== this.options.styleNonce) {
+                        this.styleElement.setAttribute('nonce', this.options.styleNonce);
+                    }
+                    window.document.head.appendChild(this.styleElement);
+                }
+
+                // the child combinators make sure that the nested tables are not concerned
+                var scope = '.' + this.tableClass;
+                var selectors = [];
+                hideColumnIndexes.forEach(function (column) {
+                    selectors.push(scope + ' > tr > .rth-col-' + column, scope + ' > * > tr > .rth-col-' + column);
+                });
+                if (-1 !== hideColumnIndexes.indexOf(this.plusColumnIndex)) {
+                    selectors.push(scope + ' > tr.rth-sub-row > td', scope + ' > * > tr.rth-sub-row > td');
+                }
+
+                this.styleElement.textContent = selectors.length ? selectors.join(',\n') + ' {\n    display: none !important;\n}' : '';
+            },
+            /**
+             * Adds the rth-col-N class to every cell of the table (the sub rows excluded), N being the column grid index of the cell
+             * (see the updateColumnStyle method).
+             *
+             * The cells spanning multiple columns don't get any class (see the hideColumns method).
+             */
+            refreshColumnClasses: function () {
+                this.table.classList.add(this.tableClass);
+                this.getColumnGrid().rows.forEach(function (items) {
+                    items.forEach(function (item) {
+                        setColumnClass(item.cell, (1 === item.span) ? item.start : null);
+                    });
+                });
+            },
+            /**
+             * Returns the column grid of the table (see the getColumnGrid function), the sub rows excluded.
+             *
+             * The grid is cached (and refreshed by every redraw), but it's recomputed if the given tr (if any) is not part of it.
+             *
+             * @param tr, a tr (dom element or jquery object, optional)
+             * @returns object
+             */
+            getColumnGrid: function (tr) {
+                tr = getElement(tr);
+                if (
+                    null === this.columnGrid ||
+                    (null !== tr && -1 === this.columnGrid.trs.indexOf(tr))
+                ) {
+                    this.columnGrid = getColumnGrid(this.getRowElements().filter(function (row) {
+                        return false === row.classList.contains('rth-sub-row');
+                    }));
+                    alignPlusCells(this.columnGrid, this.plusColumnIndex);
+                }
+                return this.columnGrid;
+            },
+            /**
+             * Returns the column grid items (see the getColumnGrid function) of the cells of the given tr, the plus column excluded.
+             *
+             * @param tr, dom element or jquery object
+             * @returns array
+             */
+            getRowItems: function (tr) {
+                tr = getElement(tr);
+                var grid = this.getColumnGrid(tr);
+                var index = grid.trs.indexOf(tr);
+                if (-1 === index) {
+                    return [];
+                }
+                return grid.rows[index].filter(function (item) {
+                    return false === item.cell.classList.contains('rth-plus-column');
+                });
+            },
+            /**
+             * Adds a column BEFORE the given position (0-based index).
+             * To append a column AFTER the last column, use position = null.
+             *
+             *
+             * Note that the technique used is to clone the first cell of each tr (so that if
+             * you have some special css class on them, we keep the style by default).
+             * The id, colspan and rowspan attributes of the cloned cell are removed though.
+             * The rows without cells (an empty tr is valid html) are skipped, as there is no cell to clone.
+             *
+             *
+             * The content can be one of:
+             *
+             * - string: the html inner content of the cell.
+             * - array:
+             *      - 0: string, the html inner content of the cell if it's a th
+             *      - 1: string, the html inner content of the cell if it's a td
+             * - callback: function( jCell, jTr ) {}
+             *              This callback returns the whole cell, including the wrapping td or th (html, dom element or jquery object).
+             *              The cell and the tr are jquery objects (or arrays of one element if jquery is not loaded).
+             *
+             *
+             *
+             * By default, the column is added to every row of the table, use the rows argument to
+             * only add it to some of them.
+             *
+             *
+             * @param position
+             * @param content
+             * @param rows, the tr to add the column to (optional): a tr, an array of tr or a jquery collection.
+             */
+            addColumn: function (position, content, rows) {
+                var $this = this;
+
+                if ('undefined' === typeof rows) {
+                    rows = this.getRowElements();
+                }
+
+                getElements(rows).forEach(function (tr) {
+                    var cells = getChildren(tr, 'th, td');
+                    var nbColumns = cells.length;
+                    if (0 === nbColumns) {
+                        return;
+                    }
+
+
+                    if (position > nbColumns - 1) {
+                        position = nbColumns - 1;
+                    }
+
+
+                    var clone = cells[0].cloneNode(true);
+                    ['id', 'colspan', 'rowspan', 'data-rth-colspan'].forEach(function (name) {
+                        clone.removeAttribute(name);
+                    });
+
+                    // prepend mode
+                    if (null !== position) {
+                        tr.insertBefore(clone, cells[position]);
+                    }
+                    // append mode
+                    else {
+                        insertAfter(clone, cells[nbColumns - 1]);
+                    }
+
+                    var theCell = clone;
+
+                    if ('string' === typeof content) {
+                        clone.innerHTML = content;
+
+                    } else if ('function' === typeof content) {
+                        var cloneReplacement = createFragment(content($this.wrap([clone]), $this.wrap([tr]))).firstElementChild;
+                        theCell = cloneReplacement;
+                        tr.replaceChild(cloneReplacement, clone);
+                    } else if (Array.isArray(content)) {
+                        var newContent;
+                        if (true === matches(clone, 'th')) {
+                            newContent = content[0];
+                        } else {
+                            newContent = content[1];
+                        }
+                        clone.innerHTML = newContent;
+                    }
+
+
+                    theCell.classList.add('rth-plus-column');
+
+                });
+            },
+
+            /**
+             * Returns a map of column index (0-based) => width in pixel.
+             *
+             * The columns are the logical columns of the column grid (see the getColumnGrid function) of the measure table
+             * (see the createMeasureTable method), which is removed right after the measure.
+             * The width of a column is taken from the first cell which covers only this column.
+             * If a column is only covered by cells spanning multiple columns, the remaining width of such a cell
+             * is shared equally between its columns which width is unknown.
+             *
+             */
+            getColumnMinWidths: function () {
+
+
+
+                var $this = this;
+                var colWidths = {};
+                var measure = this.createMeasureTable();
+                var grid = getColumnGrid(getOwnRows(measure.querySelector('table')));
+                alignPlusCells(grid, this.plusColumnIndex);
+                var spanningItems = [];
+                var nbKnown = 0;
+
+                for (var r = 0; r < grid.rows.length && nbKnown < grid.nbColumns; r++) {
+                    grid.rows[r].forEach(function (item) {
+                        if (item.span > 1) {
+                            spanningItems.push(item);
+                        } else if (false === (item.start in colWidths)) {
+                            colWidths[item.start] = getOuterWidth(item.cell);
+                            nbKnown++;
+                        }
+                    });
+                }
+
+                if (nbKnown < grid.nbColumns) {
+                    spanningItems.forEach(function (item) {
+                        var unknown = [];
+                        var remainingWidth = getOuterWidth(item.cell);
+                        var start = $this.getUserColumnIndex(item.start);
+                        for (var i = start; i < start + item.span; i++) {
+                            var c = $this.getGridColumnIndex(i);
+                            if (c in colWidths) {
+                                remainingWidth -= colWidths[c];
+                            } else {
+                                unknown.push(c);
+                            }
+                        }
+                        unknown.forEach(function (c) {
+                            colWidths[c] = Math.max(0, remainingWidth / unknown.length);
+                        });
+                    });
+                    for (var c = 0; c < grid.nbColumns; c++) {
+                        if (false === (c in colWidths)) {
+                            colWidths[c] = 0;
+                        }
+                    }
+                }
+
+                removeNode(measure);
+                return colWidths;
+            },
+            /**
+             * This is the only method we need to use for a normal use of this tool.
+             *
+             * It prepares the table for responsiveness.
+             *
+             * It's safe to call it again later (for instance after your table has been refreshed via ajax),
+             * in which case it's equivalent to the refresh method.
+             *
+             */
+            listen: function () {
+
+                if (false === this.firstListenCall) {
+                    this.refresh();
+                    return;
+                }
+                this.firstListenCall = false;
+
+
+                var $this = this;
+
+
+                if (true === this.options.observeContainer && 'undefined' !== typeof ResizeObserver) {
+                    this.observeContainer();
+                }
+
+
+                this.addListener(window, 'resize', null, function () {
+                    var windowNewSize = getOuterWidth(window);
+
+                    if ($this.getMatchingProfileIndex() !== $this.profileIndex) {
+                        $this.scheduleRefresh();
+                        return;
+                    }
+
+                    // in container mode, the window is only used for the breakpoints
+                    if (null !== $this.resizeObserver) {
+                        if ($this.isBreakpointsBoundaryCrossed(windowNewSize)) {
+                            $this.refreshNumbers();
+                            $this.scheduleRedraw();
+                        }
+                        return;
+                    }
+
+                    var sizeOffset = $this.initWindowWidth - windowNewSize;
+                    $this.availableWidth = $this.originalAvailableWidth - sizeOffset;
+
+
+                    if ($this.isBreakpointsBoundaryCrossed(windowNewSize)) {
+                        $this.refreshNumbers();
+                    }
+
+
+                    $this.scheduleRedraw();
+
+                });
+
+
+                this.addListener(this.table, 'click', '.rth-toggle-button', function () {
+                    var tr = closest(this, 'tr');
+                    // the toggle buttons of a nested responsive table are handled by its own instance
+                    if (false === $this.isOwnRow(tr)) {
+                        return;
+                    }
+                    $this.toggleRow(tr);
+                    return false;
+                });
+
+
+                if (true === this.options.rowClickToggle) {
+                    this.addListener(this.table, 'click', 'tr', function (e) {
+                        if (true === $this.isRowClickToggle(this, e.target)) {
+                            $this.toggleRow(this);
+                        }
+                    });
+                }
+
+
+                this.addListener(this.table, 'click', '.rth-toggle-all-button', function () {
+                    if (false === $this.isOwnRow(closest(this, 'tr'))) {
+                        return;
+                    }
+                    if (true === $this.isAllExpanded()) {
+                        $this.collapseAll();
+                    } else {
+                        $this.expandAll();
+                    }
+                    return false;
+                });
+
+
+                /**
+                 * Keyboard support for the toggle elements which are not real buttons: Enter and Space
+                 * (Enter only for the elements which are not links, since links handle it natively).
+                 */
+                this.addListener(this.table, 'keydown', '.rth-toggle-button, .rth-toggle-all-button', function (e) {
+                    if (matches(this, 'button') || false === $this.isOwnRow(closest(this, 'tr'))) {
+                        return;
+                    }
+                    if (32 === e.which || (13 === e.which && false === matches(this, 'a[href]'))) {
+                        e.preventDefault();
+                        this.click();
+                    }
+                });
+
+
+                if (null !== this.options.hiddenColumnsMessage) {
+                    // visually hidden with inline styles too, so that it doesn't show up on the pages without the css file
+                    this.liveRegion = createElement('<div class="rth-sr-only" aria-live="polite"></div>');
+                    this.liveRegion.setAttribute('style', 'position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;');
+                    insertAfter(this.liveRegion, this.table);
+                }
+
+
+                if (true === this.options.observeMutations && 'undefined' !== typeof MutationObserver) {
+                    this.observeMutations();
+                }
+
+
+                /**
+                 * The state is used if the rowKey or the stateStorage option is set (or if setState was called already),
+                 * it's then applied by the refresh method.
+                 */
+                if (null === this.state && (null !== this.options.rowKey || null !== this.getStateStorage())) {
+                    this.state = this.loadState() || normalizeState({});
+                    this.columnVisibility = extend({}, this.state.columns);
+                }
+
+
+                this.refresh();
+                this.trigger('ready');
+            },
+            /**
+             * Re-synchronizes this tool with the current content of the table, and redraws it.
+             *
+             * Call this after the rows of your table have changed (for instance after an ajax request),
+             * you can call it as many times as you want:
+             *
+             * - the plus column is only added to the rows which don't have it yet
+             * - the min widths are recomputed from the current rows
+             * - the labels and the collapsible column indexes are recomputed (if you used the "auto" and "admin" values)
+             * - the rows which were expanded are expanded again, with their new content
+             *
+             * If listen hasn't been called yet, it's called instead.
+             *
+             */
+            refresh: function () {
+
+                if (true === this.firstListenCall) {
+                    this.listen();
+                    return;
+                }
+
+                var $this = this;
+                var focusedElement = this.getFocusedElement();
+
+
+                /**
+                 * Let's first add the column holding the plus buttons.
+                 * We'll hide it later maybe if not used, but at least I want it to be
+                 * considered in my resize computations.
+                 *
+                 */
+                this.refreshDirection();
+                this.columnGrid = null;
+                this.addPlusColumn();
+                this.refreshColumnClasses();
+                this.refreshProfile();
+                this.refreshColumnLabels();
+                this.refreshCollapsibleColumnIndexes();
+                this.refreshExpandedColumnFilterIndexes();
+                this.refreshColumnPicker();
+
+
+                /**
+                 * The sub rows are rebuilt below, once we know which columns are hidden.
+                 * Note: we also remove the sub rows which source row doesn't exist anymore.
+                 */
+                var expandedRows = this.getRowElements().filter(function (tr) {
+                    return tr.classList.contains('rth-expanded-row');
+                });
+                expandedRows.forEach(function (tr) {
+                    $this.removeSubRow(tr);
+                });
+                this.getSubRows().forEach(removeNode);
+                this.subRowLinks = [];
+
+
+                this.refreshNumbers();
+                this.appliedColumnsKey = null; // the new rows need to be drawn
+                this.redraw();
+
+
+                expandedRows.forEach(function (tr) {
+                    $this.addSubRow(tr);
+                });
+                if (null !== this.state) {
+                    this.applyState();
+                }
+                this.initToggleElements();
+                this.restoreFocus(focusedElement);
+            },
+            /**
+             * Watches the table for rows inserted or removed by other scripts, and refreshes this tool accordingly.
+             *
+             * The mutations made by this tool (the plus cells and the sub rows) are ignored,
+             * and the refresh is deferred, so that a script replacing all the rows at once triggers only one refresh.
+             *
+             */
+            observeMutations: function () {
+                var $this = this;
+                this.mutationObserver = new MutationObserver(function (mutations) {
+                    for (var i = 0; i < mutations.length; i++) {
+                        if (true === $this.isRowsMutation(mutations[i])) {
+                            $this.scheduleRefresh();
+                            return;
+                        }
+                    }
+                });
+                this.mutationObserver.observe(this.table, {
+                    childList: true,
+                    subtree: true,
+                });
+            },
+            /**
+             * Returns whether the given mutation record inserted or removed some rows (or row groups) of the table,
+             * not counting the rows generated by this tool.
+             *
+             * @param mutation, MutationRecord
+             * @returns bool
+             */
+            isRowsMutation: function (mutation) {
+                // only the table and its row groups contain its rows (the nested tables, including the sub row tables, don't count)
+                var table = this.table;
+                if (mutation.target !== table && mutation.target.parentNode !== table) {
+                    return false;
+                }
+                var nodes = Array.prototype.slice.call(mutation.addedNodes).concat(Array.prototype.slice.call(mutation.removedNodes));
+                for (var i = 0; i < nodes.length; i++) {
+                    var node = nodes[i];
+                    if (matches(node, 'thead, tbody, tfoot') || (matches(node, 'tr') && false === node.classList.contains('rth-sub-row'))) {
+                        return true;
+                    }
+                }
+                return false;
+            },
+            /**
+             * Watches the width of the table container (using a ResizeObserver), and redraws the table
+             * whenever it changes.
+             *
+             * This is the container mode, see the observeContainer option for more details.
+             */
+            observeContainer: function () {
+                var $this = this;
+                this.resizeObserver = new ResizeObserver(function () {
+                    if (false === $this.firstListenCall) {
+                        if ($this.getMatchingProfileIndex() !== $this.profileIndex) {
+                            $this.scheduleRefresh();
+                            return;
+                        }
+                        $this.availableWidth = getOuterWidth($this.tableContainer) - $this.padding;
+                        $this.scheduleRedraw();
+                    }
+                });
+                this.resizeObserver.observe(this.tableContainer);
+            },
+            /**
+             * Calls the redraw method at the next animation frame, at most once per frame.
+             *
+             * The resize events fire much more often than the screen refreshes, so there is no point redrawing more than that.
+             */
+            scheduleRedraw: function () {
+                if (null !== this.redrawFrame) {
+                    return;
+                }
+                var $this = this;
+                this.redrawFrame = requestFrame(function () {
+                    $this.redrawFrame = null;
+                    $this.redraw();
+                });
+            },
+            /**
+             * Calls the refresh method asynchronously, at most once per event loop turn.
+             */
+            scheduleRefresh: function () {
+                if (null !== this.refreshTimeout) {
+                    return;
+                }
+                var $this = this;
+                this.refreshTimeout = setTimeout(function () {
+                    $this.refreshTimeout = null;
+                    $this.refresh();
+                }, 0);
+            },
+            /**
+             * Computes the direction of the table (see the direction option), and adds the rth-rtl class to the table
+             * if it's right-to-left.
+             *
+             * If the direction option is set explicitly, the table gets the corresponding dir attribute
+             * (its original dir attribute is put back by the destroy method).
+             */
+            refreshDirection: function () {
+                var direction = this.options.direction;
+                if ('rtl' === direction || 'ltr' === direction) {
+                    if (undefined === this.originalDir) {
+                        this.originalDir = this.table.getAttribute('dir');
+                    }
+                    this.table.setAttribute('dir', direction);
+                } else if ('auto' === direction) {
+                    // the closest dir attribute first (the table's or an ancestor's), then the css direction property
+                    var dirElement = closest(this.table, '[dir]');
+                    var dir = (null === dirElement) ? '' : dirElement.getAttribute('dir').toLowerCase();
+                    if ('rtl' !== dir && 'ltr' !== dir) {
+                        dir = window.getComputedStyle(this.table).direction;
+                    }
+                    direction = ('rtl' === dir) ? 'rtl' : 'ltr';
+                } else {
+                    this.error("Unknown direction: " + direction + ", use auto, ltr or rtl.");
+                }
+
+                this.direction = direction;
+                if ('rtl' === direction) {
+                    this.table.classList.add('rth-rtl');
+                } else {
+                    removeClass(this.table, 'rth-rtl');
+                }
+            },
+            /**
+             * Returns whether the table is right-to-left (see the direction option).
+             *
+             * @returns bool
+             */
+            isRtl: function () {
+                return ('rtl' === this.direction);
+            },
+            /**
+             * Removes the class and the dir attribute added by the refreshDirection method.
+             */
+            removeDirection: function () {
+                removeClass(this.table, 'rth-rtl');
+                if (undefined !== this.originalDir) {
+                    if (null === this.originalDir) {
+                        this.table.removeAttribute('dir');
+                    } else {
+                        this.table.setAttribute('dir', this.originalDir);
+                    }
+                    this.originalDir = undefined;
+                }
+            },
+            /**
+             * Adds the column holding the plus buttons to the rows which don't have it yet.
+             *
+             * The content rows get the extraColumnContent, while the header and footer rows
+             * get the extraColumnHeaderContent (or the toggle all button, see the toggleAllButton option).
+             * The sub rows are not concerned.
+             */
+            addPlusColumn: function () {
+                var $this = this;
+                var withoutPlusColumn = function (tr) {
+                    return 0 === getChildren(tr, '.rth-plus-column').length;
+                };
+
+                /**
+                 * The position of the column is a logical column (see the togglePosition option), which we translate
+                 * to a cell index for each row, using the column grid of the rows which don't have the plus column yet.
+                 */
+                var grid = getColumnGrid(this.getRowElements().filter(function (tr) {
+                    return false === tr.classList.contains('rth-sub-row') && withoutPlusColumn(tr);
+                }));
+                var position = this.options.togglePosition;
+                if ('first' === position) {
+                    position = 0;
+                } else if ('last' === position) {
+                    position = grid.nbColumns;
+                } else if ('number' === typeof position) {
+                    position = Math.min(Math.max(position + 1, 0), grid.nbColumns);
+                } else {
+                    this.error("Invalid togglePosition: " + position + ", use first, last or a column index.");
+                }
+                var addColumn = function (content, rows) {
+                    rows.forEach(function (tr) {
+                        var items = grid.rows[grid.trs.indexOf(tr)] || [];
+                        var cellIndex = null; // append by default
+                        for (var i = 0; i < items.length; i++) {
+                            // the first cell at the position, or spanning across it
+                            if (items[i].start + items[i].span > position) {
+                                cellIndex = i;
+                                break;
+                            }
+                        }
+                        $this.addColumn(cellIndex, content, tr);
+                    });
+                };
+
+
+                addColumn(this.options.extraColumnContent, this.getRowElements('content').filter(withoutPlusColumn));
+
+
+                var headerContent = this.options.extraColumnHeaderContent;
+                if (null === headerContent) {
+                    headerContent = '';
+                    if (Array.isArray(this.options.extraColumnContent)) {
+                        headerContent = this.options.extraColumnContent[0];
+                    } else if ('function' === typeof this.options.extraColumnContent) {
+                        headerContent = this.options.extraColumnContent;
+                    }
+                }
+
+                var headerRows = this.getRowElements('header');
+                var footerRows = this.getRowElements('footer').filter(withoutPlusColumn);
+                if (true === this.options.toggleAllButton) {
+                    // the toggle all button goes in the first header row only
+                    addColumn(this.options.toggleAllButtonContent, headerRows.slice(0, 1).filter(withoutPlusColumn));
+                    headerRows = headerRows.slice(1);
+                }
+                addColumn(headerContent, headerRows.filter(withoutPlusColumn));
+                addColumn(headerContent, footerRows);
+
+                // the full width rows (see the getRowType function) have nothing to toggle
+                addColumn('', this.getRowElements('full').filter(withoutPlusColumn));
+
+
+                /**
+                 * The actual position of the plus column, as seen by the other methods.
+                 * The plus cells put before a spanning cell are on the left of it (see the alignPlusCells function).
+                 */
+                this.plusColumnIndex = 0;
+                getColumnGrid(this.getRowElements().filter(function (tr) {
+                    return false === tr.classList.contains('rth-sub-row');
+                })).rows.forEach(function (items) {
+                    items.forEach(function (item) {
+                        if (item.cell.classList.contains('rth-plus-column')) {
+                            $this.plusColumnIndex = Math.max($this.plusColumnIndex, item.start);
+                        }
+                    });
+                });
+                this.columnGrid = null;
+            },
+            /**
+             * Returns whether the given click target inside the given tr should toggle the row,
+             * see the rowClickToggle option.
+             *
+             * @param tr, dom element or jquery object
+             * @param target, dom element or jquery object
+             * @returns bool
+             */
+            isRowClickToggle: function (tr, target) {
+                tr = getElement(tr);
+                target = getElement(target);
+                // only the content rows of this table, when the plus column is visible
+                if (
+                    -1 !== this.columnsToHide.indexOf(this.plusColumnIndex) ||
+                    -1 === this.getRowElements('content').indexOf(tr)
+                ) {
+                    return false;
+                }
+
+                var interactive = 'a, button, input, select, textarea, label, summary, [contenteditable], [tabindex], .rth-toggle-button';
+                if (null !== closest(target, interactive, tr)) {
+                    return false;
+                }
+
+                // the clicks in a nested table belong to that table
+                if (closest(target, 'table') !== this.table) {
+                    return false;
+                }
+
+                // the user was selecting some text
+                if (window.getSelection && '' !== String(window.getSelection())) {
+                    return false;
+                }
+                return true;
+            },
+            /**
+             * Returns the column grid index (i.e. the plus column included) of the given user column index
+             * (0-based, the plus column doesn't count).
+             *
+             * The column indexes used in the options and the public methods are user column indexes, whereas the column grid
+             * (see the getColumnGrid function), the minWidths and the hideColumns method include the plus column,
+             * which position depends on the togglePosition option.
+             *
+             * @param index
+             * @returns int
+             */
+            getGridColumnIndex: function (index) {
+                return (index < this.plusColumnIndex) ? index : index + 1;
+            },
+            /**
+             * Returns the user column index (0-based, the plus column doesn't count) of the given column grid index,
+             * see the getGridColumnIndex method.
+             *
+             * @param gridIndex, which must not be the index of the plus column
+             * @returns int
+             */
+            getUserColumnIndex: function (gridIndex) {
+                return (gridIndex < this.plusColumnIndex) ? gridIndex : gridIndex - 1;
+            },
+            /**
+             * Adds the accessibility attributes to the toggle buttons and toggle all buttons of the table (see the initToggleElement function),
+             * and synchronizes their aria-expanded and aria-controls attributes with the state of their row.
+             */
+            initToggleElements: function () {
+                var $this = this;
+                this.getPlusCells().forEach(function (cell) {
+                    findAll(cell, '.rth-toggle-button').forEach(function (button) {
+                        initToggleElement(button, $this.options.toggleButtonLabel);
+                        $this.updateToggleElement(cell.parentNode);
+                    });
+                    findAll(cell, '.rth-toggle-all-button').forEach(function (button) {
+                        initToggleElement(button, $this.options.toggleAllButtonLabel);
+                    });
+                });
+                this.updateToggleAllElement();
+            },
+            /**
+             * Synchronizes the aria-expanded and aria-controls attributes of the toggle button of the given row with its state.
+             *
+             * @param tr
+             */
+            updateToggleElement: function (tr) {
+                var buttons = [];
+                getChildren(tr, '.rth-plus-column').forEach(function (cell) {
+                    buttons.push.apply(buttons, findAll(cell, '.rth-toggle-button'));
+                });
+                var subRow = this.getSubRow(tr);
+                buttons.forEach(function (button) {
+                    if (tr.classList.contains('rth-expanded-row') && null !== subRow) {
+                        button.setAttribute('aria-expanded', 'true');
+                        button.setAttribute('aria-controls', subRow.id);
+                    } else {
+                        button.setAttribute('aria-expanded', 'false');
+                        button.removeAttribute('aria-controls');
+                    }
+                });
+            },
+            /**
+             * Synchronizes the aria-expanded attribute of the toggle all button (if any) with the state of the rows.
+             */
+            updateToggleAllElement: function () {
+                var isAllExpanded = this.isAllExpanded();
+                this.getPlusCells().forEach(function (cell) {
+                    findAll(cell, '.rth-toggle-all-button').forEach(function (button) {
+                        button.setAttribute('aria-expanded', (true === isAllExpanded) ? 'true' : 'false');
+                    });
+                });
+            },
+            /**
+             * Returns the element of the table which has the focus, or null.
+             *
+             * @returns HTMLElement|null
+             */
+            getFocusedElement: function () {
+                var element = window.document.activeElement;
+                if (element && element !== this.table && this.table.contains(element)) {
+                    return element;
+                }
+                return null;
+            },
+            /**
+             * Gives the focus back to the given element, which had the focus before some dom manipulation
+             * (the elements moved in the dom lose the focus).
+             *
+             * If the element is not visible anymore (for instance its column has been hidden), the focus goes to
+             * the toggle button of its row, or to the first focusable element of its row.
+             *
+             * @param element, HTMLElement|null, typically the returned value of the getFocusedElement method
+             */
+            restoreFocus: function (element) {
+                if (null === element) {
+                    return;
+                }
+                var documentElement = window.document.documentElement;
+                if (documentElement.contains(element) && isVisible(element)) {
+                    if (window.document.activeElement !== element) {
+                        element.focus();
+                    }
+                    return;
+                }
+
+                // the row of this table containing the element (the element can be in a nested table)
+                var tr = closest(element, 'tr');
+                while (null !== tr && false === this.isOwnRow(tr)) {
+                    tr = closest(tr.parentNode, 'tr');
+                }
+                if (null !== tr && tr.classList.contains('rth-sub-row')) {
+                    tr = this.getSubRowSource(tr);
+                }
+                if (null !== tr && documentElement.contains(tr)) {
+                    var focusable = findAll(tr, '.rth-toggle-button, a[href], button, input, select, textarea, [tabindex]').filter(isVisible);
+                    if (focusable.length) {
+                        focusable[0].focus();
+                    }
+                }
+            },
+            /**
+             * Returns the jquery collection of the rows of the table, including the sub rows
+             * (but not the rows of the nested tables, see the getOwnRows function).
+             *
+             * Without jquery, the array of the rows is returned (see the wrap method).
+             *
+             * @returns jQuery|array
+             */
+            getTableRows: function () {
+                return this.wrap(this.getRowElements());
+            },
+            /**
+             * Returns the array of the rows (dom elements) of the given type (header, content, footer or full, see the getRowType function),
+             * in which case the sub rows are not concerned, or the array of all the rows of the table, including the sub rows,
+             * if no type is given (see the getOwnRows function).
+             *
+             * @param type, string (optional)
+             * @returns array
+             */
+            getRowElements: function (type) {
+                var rows = getOwnRows(this.table);
+                if (undefined === type) {
+                    return rows;
+                }
+                var contentRowStartIndex = this.options.contentRowStartIndex;
+                rows = rows.filter(function (tr) {
+                    return false === tr.classList.contains('rth-sub-row');
+                });
+
+                // the number of columns, as seen by the getRowType function (the plus column doesn't count)
+                var nbColumns = 0;
+                rows.forEach(function (tr) {
+                    var nbRowColumns = 0;
+                    getChildren(tr, 'th, td').forEach(function (cell) {
+                        if (false === cell.classList.contains('rth-plus-column')) {
+                            nbRowColumns += getCellColspan(cell);
+                        }
+                    });
+                    nbColumns = Math.max(nbColumns, nbRowColumns);
+                });
+
+                return rows.filter(function (tr, index) {
+                    return type === getRowType(tr, index, contentRowStartIndex, nbColumns);
+                });
+            },
+            /**
+             * Returns the array of the sub rows (dom elements) of the table.
+             *
+             * @returns array
+             */
+            getSubRows: function () {
+                return this.getRowElements().filter(function (tr) {
+                    return tr.classList.contains('rth-sub-row');
+                });
+            },
+            /**
+             * Returns the sub row (dom element) of the given tr, or null if it has none.
+             *
+             * Note: the sub row is usually right below its row, but not always (see the getRowGroupEnd method).
+             *
+             * @param tr
+             * @returns HTMLElement|null
+             */
+            getSubRow: function (tr) {
+                for (var i = 0; i < this.subRowLinks.length; i++) {
+                    if (tr === this.subRowLinks[i].tr) {
+                        return this.subRowLinks[i].subRow;
+                    }
+                }
+                return null;
+            },
+            /**
+             * Returns the source row (dom element) of the given sub row, or null if it's unknown.
+             *
+             * @param subRow
+             * @returns HTMLElement|null
+             */
+            getSubRowSource: function (subRow) {
+                for (var i = 0; i < this.subRowLinks.length; i++) {
+                    if (subRow === this.subRowLinks[i].subRow) {
+                        return this.subRowLinks[i].tr;
+                    }
+                }
+                return null;
+            },
+            /**
+             * Returns the last row of the group of rows bound together by the rowspan attributes the given tr is part of,
+             * or the tr itself if none of its cells spans into the next row (the most common case).
+             *
+             * The sub row of a row goes after that row (see the addSubRow method), so that it doesn't cut a rowspan in two.
+             *
+             * @param tr
+             * @returns HTMLElement
+             */
+            getRowGroupEnd: function (tr) {
+                var grid = this.getColumnGrid(tr);
+                var r = grid.trs.indexOf(tr);
+                if (-1 === r) {
+                    return tr;
+                }
+                var isSpannedInto = function (index) {
+                    return index < grid.trs.length && grid.matrix[index].some(function (item) {
+                        return item.cell.parentNode !== grid.trs[index];
+                    });
+                };
+                while (true === isSpannedInto(r + 1)) {
+                    r++;
+                }
+                return grid.trs[r];
+            },
+            /**
+             * Returns the array of the cells of the plus column (dom elements), i.e. the cells added by the addPlusColumn method.
+             *
+             * @returns array
+             */
+            getPlusCells: function () {
+                var cells = [];
+                this.getRowElements().forEach(function (tr) {
+                    cells.push.apply(cells, getChildren(tr, '.rth-plus-column'));
+                });
+                return cells;
+            },
+            /**
+             * Returns whether the given tr (dom element or jquery object) is a row of the table (see the getTableRows method),
+             * as opposed to a row of a nested table.
+             *
+             * @param tr
+             * @returns bool
+             */
+            isOwnRow: function (tr) {
+                tr = getElement(tr);
+                var section = (null !== tr) ? tr.parentNode : null;
+                return null !== section && (section === this.table || section.parentNode === this.table);
+            },
+            /**
+             * Returns the jquery collection of the rows of the given type (header, content, footer or full), see the
+             * getRowType function for more details.
+             * The sub rows are not concerned.
+             *
+             * Without jquery, the array of the rows is returned (see the wrap method).
+             *
+             * @param type
+             * @returns jQuery|array
+             */
+            getRowsByType: function (type) {
+                return this.wrap(this.getRowElements(type));
+            },
+            /**
+             * Returns the jquery collection of the content rows of the table, i.e. the rows which can be expanded.
+             *
+             * The header rows, the footer rows and the sub rows are not concerned.
+             *
+             * Without jquery, the array of the rows is returned (see the wrap method).
+             *
+             * @returns jQuery|array
+             */
+            getContentRows: function () {
+                return this.getRowsByType('content');
+            },
+            /**
+             * Returns the jquery tr object corresponding to the given row, which can be either:
+             *
+             * - a tr (dom element or jquery object)
+             * - a number: the 0-based index of the row amongst the content rows (see the getContentRows method)
+             *
+             * Without jquery, an array containing the tr (or an empty array) is returned (see the wrap method).
+             *
+             * @param row
+             * @returns jQuery|array
+             */
+            getRow: function (row) {
+                var tr = this.getRowElement(row);
+                return this.wrap((null === tr) ? [] : [tr]);
+            },
+            /**
+             * Returns the tr (dom element) corresponding to the given row (see the getRow method), or null if there is none.
+             *
+             * @param row
+             * @returns HTMLElement|null
+             */
+            getRowElement: function (row) {
+                if ('number' === typeof row) {
+                    return this.getRowElements('content')[row] || null;
+                }
+                return getElement(row);
+            },
+            /**
+             * Returns whether the given row (see the getRow method) is expanded.
+             *
+             * @param row
+             * @returns bool
+             */
+            isExpanded: function (row) {
+                var tr = this.getRowElement(row);
+                return null !== tr && tr.classList.contains('rth-expanded-row');
+            },
+            /**
+             * Returns whether all the content rows of the table are expanded.
+             *
+             * @returns bool
+             */
+            isAllExpanded: function () {
+                var rows = this.getRowElements('content');
+                return (rows.length > 0 && rows.every(function (tr) {
+                    return tr.classList.contains('rth-expanded-row');
+                }));
+            },
+            /**
+             * Expands the given row (see the getRow method), i.e. adds its sub row.
+             * Does nothing if the row is already expanded.
+             *
+             * @param row
+             */
+            expandRow: function (row) {
+                this.setRowExpanded(this.getRowElement(row), true);
+                this.saveState();
+            },
+            /**
+             * Collapses the given row (see the getRow method), i.e. removes its sub row.
+             * Does nothing if the row is not expanded.
+             *
+             * @param row
+             */
+            collapseRow: function (row) {
+                this.setRowExpanded(this.getRowElement(row), false);
+                this.saveState();
+            },
+            /**
+             * Expands or collapses the given tr (dom element or jquery object), without saving the state (see the getState method).
+             *
+             * @param tr
+             * @param isExpanded, bool
+             */
+            setRowExpanded: function (tr, isExpanded) {
+                tr = getElement(tr);
+                if (null === tr || isExpanded === tr.classList.contains('rth-expanded-row')) {
+                    return;
+                }
+                if (true === isExpanded) {
+                    tr.classList.add('rth-expanded-row');
+                    this.addSubRow(tr);
+                } else {
+                    removeClass(tr, 'rth-expanded-row');
+                    this.removeSubRow(tr);
+                }
+            },
+            /**
+             * Expands the given row if it's collapsed, or collapses it if it's expanded.
+             *
+             * @param row
+             */
+            toggleRow: function (row) {
+                if (true === this.isExpanded(row)) {
+                    this.collapseRow(row);
+                } else {
+                    this.expandRow(row);
+                }
+                this.updateToggleAllElement();
+            },
+            /**
+             * Expands all the content rows of the table.
+             *
+             * Note: the sub rows are created only now, and so the rows which are never expanded
+             * still don't cost anything (see the lazy approach in the conception notes at the top of this file).
+             */
+            expandAll: function () {
+                var $this = this;
+                this.getRowElements('content').forEach(function (tr) {
+                    $this.setRowExpanded(tr, true);
+                });
+                this.saveState();
+                this.updateToggleAllElement();
+            },
+            /**
+             * Collapses all the content rows of the table.
+             */
+            collapseAll: function () {
+                var $this = this;
+                this.getRowElements('content').forEach(function (tr) {
+                    $this.setRowExpanded(tr, false);
+                });
+                this.saveState();
+                this.updateToggleAllElement();
+            },
+            /**
+             * Returns the key of the given tr (dom element or jquery object, see the rowKey option), as a string.
+             *
+             * Without the rowKey option, the key is the index of the row amongst the content rows.
+             * The callers which go through all the content rows pass that index, so that the rows are not listed again for every row.
+             *
+             * @param tr
+             * @param index, int (optional), the index of the row amongst the content rows
+             * @returns string
+             */
+            getRowKey: function (tr, index) {
+                tr = getElement(tr);
+                var rowKey = this.options.rowKey;
+                var key;
+                if ('function' === typeof rowKey) {
+                    key = rowKey.call(this, this.wrap([tr]));
+                } else if (null !== rowKey) {
+                    key = tr.getAttribute(rowKey);
+                } else {
+                    key = (undefined === index) ? this.getRowElements('content').indexOf(tr) : index;
+                }
+                return (null === key || undefined === key) ? '' : String(key);
+            },
+            /**
+             * Returns the state of the table, which is an object with the following properties:
+             *
+             * - expandedRows: array, the keys of the expanded rows (see the getRowKey method)
+             * - columns: object, the visibility of the columns set by the user (see the setColumnVisibility method),
+             *      0-based column index (the plus column doesn't count) => hidden|pinned
+             *
+             * If the rowKey option is set, the expanded rows which are not in the table anymore (another page for instance)
+             * are still part of the state, so that they are expanded again when they come back.
+             *
+             * The state is a plain object which can be serialized as json, see the setState method and the stateStorage option.
+             *
+             * @returns object
+             */
+            getState: function () {
+                var $this = this;
+                var expandedRows = [];
+                var presentRows = {};
+                this.getRowElements('content').forEach(function (tr, index) {
+                    var key = $this.getRowKey(tr, index);
+                    presentRows[key] = true;
+                    if (true === tr.classList.contains('rth-expanded-row')) {
+                        expandedRows.push(key);
+                    }
+                });
+
+                if (null !== this.options.rowKey && null !== this.state) {
+                    this.state.expandedRows.forEach(function (key) {
+                        if (true !== presentRows[key] && -1 === expandedRows.indexOf(key)) {
+                            expandedRows.push(key);
+                        }
+                    });
+                }
+
+                return {
+                    expandedRows: expandedRows,
+                    columns: extend({}, this.columnVisibility),
+                };
+            },
+            /**
+             * Applies the given state (see the getState method) to the table, and saves it (see the stateStorage option).
+             *
+             * From now on, the state is also applied automatically every time the table is refreshed
+             * (so that the expanded rows stay expanded after an ajax refresh for instance).
+             *
+             * @param state, object
+             */
+            setState: function (state) {
+                this.state = normalizeState(state);
+                this.columnVisibility = extend({}, this.state.columns);
+                if (false === this.firstListenCall) {
+                    this.redraw();
+                    this.refreshColumnPicker();
+                    this.applyState();
+                }
+                this.saveState();
+            },
+            /**
+             * Expands the rows which key is in the state, and collapses the other ones.
+             */
+            applyState: function () {
+                var $this = this;
+                var expandedRows = this.state.expandedRows;
+                this.getRowElements('content').forEach(function (tr, index) {
+                    $this.setRowExpanded(tr, -1 !== expandedRows.indexOf($this.getRowKey(tr, index)));
+                });
+
+                this.updateToggleAllElement();
+            },
+            /**
+             * Updates the state (if the state is used, see the setState method) with the current state of the table,
+             * and writes it to the storage (see the stateStorage option).
+             */
+            saveState: function () {
+                if (null === this.state) {
+                    return;
+                }
+                if (false === this.firstListenCall) {
+                    this.state = this.getState();
+                }
+                var storage = this.getStateStorage();
+                if (null !== storage) {
+                    try {
+                        storage.setItem(this.getStateStorageKey(), JSON.stringify(this.state));
+                    } catch (e) {
+                        // the storage might be full or disabled (private browsing), the state is just not persisted then
+                    }
+                }
+            },
+            /**
+             * Returns the state found in the storage (see the stateStorage option), or null if there is none.
+             *
+             * @returns object|null
+             */
+            loadState: function () {
+                var storage = this.getStateStorage();
+                if (null !== storage) {
+                    try {
+                        var value = storage.getItem(this.getStateStorageKey());
+                        if (null !== value && undefined !== value) {
+                            return normalizeState(JSON.parse(value));
+                        }
+                    } catch (e) {
+                        // a disabled storage or a corrupted value, we start with an empty state
+                    }
+                }
+                return null;
+            },
+            /**
+             * Returns the storage object to use (see the stateStorage option), or null.
+             *
+             * @returns object|null
+             */
+            getStateStorage: function () {
+                var storage = this.options.stateStorage;
+                if ('sessionStorage' === storage || 'localStorage' === storage) {
+                    try {
+                        return window[storage] || null;
+                    } catch (e) {
+                        // some browsers throw when the storage is disabled
+                        return null;
+                    }
+                }
+                if (null !== storage && 'object' === typeof storage) {
+                    return storage;
+                }
+                return null;
+            },
+            /**
+             * Returns the key under which the state is saved in the storage (see the stateStorageKey option).
+             *
+             * @returns string
+             */
+            getStateStorageKey: function () {
+                if (null !== this.options.stateStorageKey) {
+                    return this.options.stateStorageKey;
+                }
+                var tableId = this.table.getAttribute('id');
+                return 'rth-state-' + window.location.pathname + '-' + (tableId ? tableId : this.id);
+            },
+            /**
+             * Returns the array of the header cells (jquery objects), one per column (the plus column excluded),
+             * see the getHeaderCellElements method.
+             *
+             * Without jquery, each header cell is an array containing the cell (see the wrap method).
+             *
+             * @returns array
+             */
+            getHeaderCells: function () {
+                var $this = this;
+                return this.getHeaderCellElements().map(function (cell) {
+                    return $this.wrap((null === cell) ? [] : [cell]);
+                });
+            },
+            /**
+             * Returns the array of the header cells (dom elements), one per column (the plus column excluded),
+             * null for a column without header cell.
+             * Those are the cells of the label row (see the labelRowIndex option), including the cells spanning into it
+             * from the rows above, and they are used to compute the labels and the column attributes (data-rth-priority, ...).
+             *
+             * Note: a cell spanning multiple columns is the header cell of each of those columns.
+             *
+             * @returns array
+             */
+            getHeaderCellElements: function () {
+                var grid = this.getColumnGrid();
+                var slots = grid.matrix[this.options.labelRowIndex] || [];
+                var cells = [];
+                for (var c = 0; c < grid.nbColumns; c++) {
+                    var item = slots[c];
+                    if (item && item.cell.classList.contains('rth-plus-column')) {
+                        continue;
+                    }
+                    cells.push(item ? item.cell : null);
+                }
+                return cells;
+            },
+            /**
+             * Returns the 0-based indexes of the columns which header cell has the given attribute.
+             *
+             * @param attributeName
+             * @returns array
+             */
+            getAttributeColumnIndexes: function (attributeName) {
+                var indexes = [];
+                this.getHeaderCellElements().forEach(function (cell, index) {
+                    if (null !== cell && cell.hasAttribute(attributeName)) {
+                        indexes.push(index);
+                    }
+                });
+                return indexes;
+            },
+            /**
+             * Computes the labels used in the sub rows, based on the columnLabels option.
+             */
+            refreshColumnLabels: function () {
+                var labels = this.options.columnLabels;
+                if ('auto' === labels) {
+                    labels = this.getHeaderCellElements().map(function (cell) {
+                        if (null === cell) {
+                            return '';
+                        }
+                        var label = cell.getAttribute('data-rth-label');
+                        return (null === label) ? cell.textContent.trim() : label;
+                    });
+                }
+                this.columnLabels = labels;
+            },
+            /**
+             * Translates the collapsibleColumnIndexes option if necessary.
+             *
+             * If the option is not set explicitly, the data-rth-priority attributes are used (if any).
+             * Then the columns with the data-rth-never-collapse attribute are removed, unless the option
+             * was set explicitly as an array.
+             */
+            refreshCollapsibleColumnIndexes: function () {
+                var collapsibleColumnIndexes = this.options.collapsibleColumnIndexes;
+                var isExplicit = ('collapsibleColumnIndexes' in this.explicitOptions);
+
+                if (false === isExplicit) {
+                    var priorities = [];
+                    this.getHeaderCellElements().forEach(function (cell, index) {
+                        var priority = (null === cell) ? null : cell.getAttribute('data-rth-priority');
+                        if (null !== priority) {
+                            priorities.push([index, parseInt(priority, 10)]);
+                        }
+                    });
+                    if (priorities.length) {
+                        // the highest priority number collapses first, then the highest index for equal priorities
+                        priorities.sort(function (a, b) {
+                            return (b[1] - a[1]) || (b[0] - a[0]);
+                        });
+                        collapsibleColumnIndexes = priorities.map(function (item) {
+                            return item[0];
+                        });
+                    }
+                }
+
+
+                if ('admin' === collapsibleColumnIndexes) {
+                    collapsibleColumnIndexes = [];
+                    var nbUserCols = this.getHeaderCellElements().length;
+                    if (nbUserCols) {
+
+                        /**
+                         *
+                         * - minus one because the last column (the action column) never collapses
+                         * - minus one because the collapsibleColumnIndexes is 0-based index
+                         */
+                        var max = nbUserCols - 2;
+                        for (var i = max; i > 1; i--) { // we preserve two more fields here, no particular reason
+                            collapsibleColumnIndexes.push(i);
+                        }
+                    }
+                    isExplicit = false;
+                }
+
+
+                if (false === isExplicit) {
+                    var neverCollapse = this.getAttributeColumnIndexes('data-rth-never-collapse');
+                    collapsibleColumnIndexes = collapsibleColumnIndexes.filter(function (index) {
+                        return -1 === neverCollapse.indexOf(index);
+                    });
+                }
+                this.collapsibleColumnIndexes = collapsibleColumnIndexes;
+            },
+            /**
+             * Computes the expandedColumnFilterIndexes, based on the option of the same name,
+             * or on the data-rth-hide-in-subrow attributes if the option is not set explicitly.
+             */
+            refreshExpandedColumnFilterIndexes: function () {
+                if ('expandedColumnFilterIndexes' in this.explicitOptions) {
+                    this.expandedColumnFilterIndexes = this.options.expandedColumnFilterIndexes;
+                } else {
+                    this.expandedColumnFilterIndexes = this.getAttributeColumnIndexes('data-rth-hide-in-subrow');
+                }
+            },
+            /**
+             * Returns the array of the rows (dom elements) to measure (see the getColumnMinWidths method), in document order.
+             *
+             * On big tables, measuring every row would be slow (and would need a second copy of all the rows),
+             * so only a sample of the content rows is measured (see the measureRowCount option):
+             *
+             * - the first content rows
+             * - for each column, the content row which cell has the longest text (the widest cell, most likely)
+             *
+             * The header and footer rows are always measured.
+             * Since a cell with a rowspan needs the rows it spans, the rows linked by rowspans are measured together.
+             *
+             * @returns array
+             */
+            getMeasureRows: function () {
+                var grid = this.getColumnGrid();
+                var contentRows = this.getRowElements('content');
+                var measureRowCount = this.options.measureRowCount;
+                if (null === measureRowCount || contentRows.length <= measureRowCount) {
+                    return grid.trs.slice();
+                }
+
+
+                /**
+                 * Pick the sample of content rows
+                 */
+                var $this = this;
+                var nbContentRows = 0; // both lists are in document order
+                var picked = {};
+                var longestTexts = {}; // column => [row index, text length]
+                grid.trs.forEach(function (tr, r) {
+                    if (tr !== contentRows[nbContentRows]) {
+                        picked[r] = true;
+                        return;
+                    }
+                    if (nbContentRows++ < measureRowCount) {
+                        picked[r] = true;
+                    }
+                    var movedContents = $this.getMovedContents(tr);
+                    grid.rows[r].forEach(function (item) {
+                        if (1 === item.span) {
+                            var content = item.cell;
+                            movedContents.forEach(function (movedContent) {
+                                if (item.cell === movedContent.cell) {
+                                    content = movedContent.value;
+                                }
+                            });
+                            var length = content.textContent.trim().length;
+                            if (undefined === longestTexts[item.start] || length > longestTexts[item.start][1]) {
+                                longestTexts[item.start] = [r, length];
+                            }
+                        }
+                    });
+                });
+                Object.keys(longestTexts).forEach(function (column) {
+                    picked[longestTexts[column][0]] = true;
+                });
+
+
+                /**
+                 * The rows linked by rowspans form a group (a row belongs to the group of the previous row
+                 * if a cell of the previous rows spans into it), we take the whole group of every picked row.
+                 */
+                var groups = [];
+                var pickedGroups = {};
+                grid.trs.forEach(function (tr, r) {
+                    var group = r;
+                    var isSpannedInto = (grid.matrix[r] || []).some(function (item) {
+                        return item && -1 === grid.rows[r].indexOf(item);
+                    });
+                    if (true === isSpannedInto) {
+                        group = groups[r - 1];
+                    }
+                    groups[r] = group;
+                    if (true === picked[r]) {
+                        pickedGroups[group] = true;
+                    }
+                });
+
+                return grid.trs.filter(function (tr, r) {
+                    return true === pickedGroups[groups[r]];
+                });
+            },
+            /**
+             * Returns the contents of the cells of the given tr which are currently in its sub row, as an array of objects:
+             *
+             * - cell: the cell (dom element), which is empty
+             * - value: the element of the sub row holding the content of the cell (see the moveSubRowContent method)
+             *
+             * The array is empty unless the row is expanded and the subRowMode option is "move".
+             *
+             * @param tr
+             * @returns array
+             */
+            getMovedContents: function (tr) {
+                var subRow = ('move' === this.options.subRowMode) ? this.getSubRow(tr) : null;
+                if (null === subRow) {
+                    return [];
+                }
+                var $this = this;
+                var cells = {};
+                this.getRowItems(tr).forEach(function (item) {
+                    cells[$this.getUserColumnIndex(item.start)] = item.cell;
+                });
+
+                var movedContents = [];
+                this.getSubRowItemElements(subRow).forEach(function (element) {
+                    var cell = cells[element.getAttribute('data-rth-column')];
+                    var value = matches(element, '[data-rth-value]') ? element : element.querySelector('[data-rth-value]');
+                    if (undefined !== cell && null !== value && null !== value.firstChild && null === cell.firstChild) {
+                        movedContents.push({cell: cell, value: value});
+                    }
+                });
+                return movedContents;
+            },
+            /**
+             * Creates the measure table, a temporary copy of the table containing only the rows to measure
+             * (see the getMeasureRows method), with every cell shown, and returns its container.
+             *
+             * The container is inserted just after the table (so that the same css applies), but it's invisible,
+             * hidden from the assistive technologies (aria-hidden), and not interactive (inert).
+             * The ids and names of the copied elements are removed, so that the copy can't be confused with the table
+             * (by the other scripts, or by a form submission).
+             *
+             * The container must be removed right after the measure, so that no second copy of the table is kept in the page.
+             *
+             * Note: the copy is made from the current state of the table (including the plus column),
+             * and so it gives the same results every time, whatever the columns hidden at the moment.
+             * In "move" mode, the content of the cells which is in the sub rows is copied back into the copies of the cells
+             * (see the getMovedContents method), so the expanded rows are measured with their content too.
+             *
+             * @returns HTMLElement
+             */
+            createMeasureTable: function () {
+                var $this = this;
+                var copy = this.table.cloneNode(false);
+                // without the scope class, the generated stylesheet doesn't hide anything in the copy
+                copy.removeAttribute('id');
+                copy.removeAttribute('data-rth');
+                removeClass(copy, 'rth-card-mode');
+                removeClass(copy, this.tableClass);
+
+                // copy the rows into copies of their section (thead, tbody, tfoot), in the same order
+                var sections = [];
+                var sectionCopies = [];
+                var table = this.table;
+                this.getMeasureRows().forEach(function (tr) {
+                    var section = tr.parentNode;
+                    var parent = copy;
+                    if (section !== table) {
+                        var index = sections.indexOf(section);
+                        if (-1 === index) {
+                            sections.push(section);
+                            sectionCopies.push(copy.appendChild(section.cloneNode(false)));
+                            index = sections.length - 1;
+                        }
+                        parent = sectionCopies[index];
+                    }
+                    var trCopy = tr.cloneNode(true);
+                    removeClass(trCopy, 'rth-expanded-row');
+                    parent.appendChild(trCopy);
+
+                    // the cells emptied by the "move" mode are measured with their content
+                    var cells = getChildren(tr, 'th, td');
+                    var cellCopies = getChildren(trCopy, 'th, td');
+                    $this.getMovedContents(tr).forEach(function (movedContent) {
+                        var cellCopy = cellCopies[cells.indexOf(movedContent.cell)];
+                        Array.prototype.forEach.call(movedContent.value.childNodes, function (node) {
+                            cellCopy.appendChild(node.cloneNode(true));
+                        });
+                    });
+                });
+
+                findAll(copy, '[id]').forEach(function (element) {
+                    element.removeAttribute('id');
+                });
+                findAll(copy, '[name]').forEach(function (element) {
+                    element.removeAttribute('name');
+                });
+                getRowsCells(getOwnRows(copy)).forEach(function (cell) {
+                    cell.style.display = '';
+                });
+                restoreCellColspans(copy);
+
+
+                var container = createElement('<div class="rth-measure" aria-hidden="true" inert></div>');
+                extend(container.style, {
+                    position: 'absolute',
+                    top: '0',
+                    left: '0',
+                    width: getContentWidth(this.table.parentNode) + 'px',
+                    height: '0',
+                    overflow: 'hidden',
+                    visibility: 'hidden',
+                });
+                container.appendChild(copy);
+                insertAfter(container, this.table);
+                return container;
+            },
+            refreshNumbers: function () {
+                this.originalAvailableWidth = getOuterWidth(this.tableContainer);
+                this.initWindowWidth = getOuterWidth(window);
+                this.initializeBreakpointsBoundaries(this.initWindowWidth);
+
+
+                this.minWidths = this.getColumnMinWidths();
+
+                var padding = this.options.padding;
+                if ('auto' === padding) {
+                    for (var i in this.minWidths) {
+                        if (parseInt(i, 10) !== this.plusColumnIndex) {
+                            padding = this.minWidths[i];
+                        }
+                    }
+                }
+                this.padding = padding;
+                this.originalAvailableWidth -= padding;
+
+
+                // the available width is dynamic, it's calculated as the window (or the container) is resized.
+                this.availableWidth = this.originalAvailableWidth;
+            },
+            initializeBreakpointsBoundaries: function (windowSize, force) {
+                // let's initialize boundaries now
+                if (false === this.breakpointLowBoundary || true === force) {
+                    var breakpoints = this.options.breakpoints.slice();
+
+                    if (breakpoints.length) {
+
+                        breakpoints.sort(sortNumber);
+                        var lowLimit = 0;
+                        var highLimit = 0;
+
+                        for (var i in breakpoints) {
+                            var point = breakpoints[i];
+
+                            if (windowSize > point) {
+                                lowLimit = point;
+                            } else {
+                                highLimit = point;
+                                break;
+                            }
+                        }
                         if (lowLimit > highLimit) {
                             highLimit = null;
                         }
-                        this.breakpointLowBoundary = lowLimit;
-                        this.breakpointHighBoundary = highLimit;
+                        this.breakpointLowBoundary = lowLimit;
+                        this.breakpointHighBoundary = highLimit;
+                    }
+                }
+            },
+            /**
+             * Returns whether a breakpoint boundary is crossed in either direction.
+             *
+             * @param windowSize
+             * @returns bool
+             */
+            isBreakpointsBoundaryCrossed: function (windowSize) {
+                if (false !== this.breakpointLowBoundary) {
+                    if (
+                        windowSize < this.breakpointLowBoundary ||
+                        (null !== this.breakpointHighBoundary && windowSize > this.breakpointHighBoundary)
+                    ) {
+                        this.initializeBreakpointsBoundaries(windowSize, true);
+                        return true;
+                    }
+                }
+                return false;
+            },
+            /**
+             * Returns the index of the first profile matching the current width (see the profiles option), or -1 if none matches.
+             *
+             * @returns int
+             */
+            getMatchingProfileIndex: function () {
+                var profiles = this.options.profiles;
+                if (0 === profiles.length) {
+                    return -1;
+                }
+                var width = getOuterWidth(('container' === this.options.profileWidth) ? this.tableContainer : window);
+                for (var i = 0; i < profiles.length; i++) {
+                    var profile = profiles[i];
+                    if (
+                        (undefined === profile.minWidth || null === profile.minWidth || width >= profile.minWidth) &&
+                        (undefined === profile.maxWidth || null === profile.maxWidth || width <= profile.maxWidth)
+                    ) {
+                        return i;
+                    }
+                }
+                return -1;
+            },
+            /**
+             * Returns the active profile (see the profiles option), or null if none is active.
+             *
+             * @returns object|null
+             */
+            getProfile: function () {
+                return (-1 === this.profileIndex) ? null : this.options.profiles[this.profileIndex];
+            },
+            /**
+             * Activates the profile matching the current width (see the profiles option): the options overridden by the profile
+             * replace the options set by the user until another profile is activated, and the profileChanged event is triggered.
+             *
+             * The options are only read here, it's up to the refresh method to recompute the columns.
+             */
+            refreshProfile: function () {
+                var index = this.getMatchingProfileIndex();
+                if (index === this.profileIndex) {
+                    return;
+                }
+                var previousProfile = this.getProfile();
+                this.profileIndex = index;
+                var profile = this.getProfile();
+
+                var overrides = {};
+                if (null !== profile) {
+                    ['collapsibleColumnIndexes', 'expandedColumnFilterIndexes', 'columnLabels', 'padding'].forEach(function (name) {
+                        if (name in profile) {
+                            overrides[name] = profile[name];
+                        }
+                    });
+                }
+                // the overridden options count as explicit options (the column attributes don't apply to them)
+                this.explicitOptions = extend({}, this.userOptions, overrides);
+                this.options = extend({}, ResponsiveTableHelper._defaults, this.explicitOptions);
+                this.trigger('profileChanged', [profile, previousProfile]);
+            },
+            /**
+             * Adds a sub row (if it doesn't exist already) below the given tr (dom element or jquery object).
+             *
+             * The content of the sub row is rendered by the subRowRenderer option if set, or else by the subRowLayout option.
+             *
+             * @param tr
+             */
+            addSubRow: function (tr) {
+                tr = getElement(tr);
+
+                // add the row only if it doesn't exist already
+                if (null !== this.getSubRow(tr)) {
+                    return;
+                }
+
+                var $this = this;
+                var isMoveMode = ('move' === this.options.subRowMode);
+                var labels = this.columnLabels;
+                if (true === this.options.escapeLabels) {
+                    labels = labels.map(function (label) {
+                        return escapeHtml(label);
+                    });
+                }
+
+                var cells = this.getRowItems(tr).map(function (item) {
+                    // the plus column doesn't count
+                    var index = $this.getUserColumnIndex(item.start);
+                    return {
+                        index: index,
+                        span: item.span,
+                        jCell: $this.wrap([item.cell]),
+                        label: labels[index],
+                        html: (true === isMoveMode) ? '' : getCellCopyHtml(item.cell),
+                        hidden: $this.isShownInSubRow(index, item.span),
+                        itemAttributes: 'data-rth-column="' + index + '" data-rth-span="' + item.span + '"',
+                    };
+                });
+
+
+                var content;
+                if ('function' === typeof this.options.subRowRenderer) {
+                    content = this.options.subRowRenderer.call(this, this.wrap([tr]), cells, labels);
+                } else {
+                    var layoutRenderer = ResponsiveTableHelper.subRowLayouts[this.options.subRowLayout];
+                    if ('function' !== typeof layoutRenderer) {
+                        this.error("Unknown sub row layout: " + this.options.subRowLayout + ".");
+                    }
+                    content = layoutRenderer(cells);
+                }
+
+
+                // colspan trick here: might not be optimal in every browser, but should work in most browsers
+                var id = 'rth-' + this.id + '-sub-row-' + (++this.subRowCounter);
+                var contentTr = createElement('<tr class="rth-sub-row" id="' + id + '"><td colspan="999"></td></tr>');
+                contentTr.setAttribute('dir', this.direction);
+                contentTr.firstElementChild.appendChild(createFragment(content));
+
+                /**
+                 * In a group of rows bound by a rowspan, the sub rows go below the group, in the order of their rows.
+                 */
+                var grid = this.getColumnGrid(tr);
+                var reference = this.getRowGroupEnd(tr);
+                var next = reference.nextElementSibling;
+                while (null !== next && next.classList.contains('rth-sub-row')) {
+                    var source = this.getSubRowSource(next);
+                    if (null !== source && grid.trs.indexOf(source) > grid.trs.indexOf(tr)) {
+                        break;
+                    }
+                    reference = next;
+                    next = next.nextElementSibling;
+                }
+                insertAfter(contentTr, reference);
+                this.subRowLinks.push({tr: tr, subRow: contentTr});
+
+                this.updateSubRow(tr, contentTr);
+                this.updateToggleElement(tr);
+
+                this.trigger('rowExpanded', [this.wrap([tr]), this.wrap([contentTr])]);
+            },
+            /**
+             * Removes the subrow of the given tr (dom element or jquery object).
+             * @param tr
+             */
+            removeSubRow: function (tr) {
+                tr = getElement(tr);
+                var subRow = this.getSubRow(tr);
+                if (null !== subRow) {
+                    this.trigger('rowCollapsed', [this.wrap([tr]), this.wrap([subRow])]);
+                    if ('move' === this.options.subRowMode) {
+                        this.moveSubRowContent(tr, subRow, true);
+                    }
+                    removeNode(subRow);
+                    this.subRowLinks = this.subRowLinks.filter(function (link) {
+                        return subRow !== link.subRow;
+                    });
+                    this.updateToggleElement(tr);
+                }
+            },
+            /**
+             * Returns the jquery collection of the items of the given sub row (one item per cell of the source row,
+             * the plus column doesn't count).
+             *
+             * The items are the elements with the following attributes (see the subRowRenderer option):
+             * - data-rth-column: the 0-based index of the (first) column of the cell (the plus column doesn't count)
+             * - data-rth-span: the number of columns covered by the cell
+             *
+             * Without jquery, the array of the items is returned (see the wrap method).
+             *
+             * @param subRow, dom element or jquery object
+             * @returns jQuery|array
+             */
+            getSubRowItems: function (subRow) {
+                return this.wrap(this.getSubRowItemElements(getElement(subRow)));
+            },
+            /**
+             * Returns the array of the items (dom elements) of the given sub row (dom element), see the getSubRowItems method.
+             *
+             * The items of the sub rows of the nested responsive tables are not included.
+             *
+             * @param subRow
+             * @returns array
+             */
+            getSubRowItemElements: function (subRow) {
+                return findAll(subRow, '[data-rth-column]').filter(function (item) {
+                    return closest(item, '.rth-sub-row') === subRow;
+                });
+            },
+            /**
+             * Shows the items of the given sub row which columns are hidden, and hides the other ones
+             * (see the isShownInSubRow method).
+             * In "move" mode, also moves the content of the cells accordingly (see the moveSubRowContent method).
+             *
+             * @param tr, the source row (dom element or jquery object)
+             * @param subRow, dom element or jquery object
+             */
+            updateSubRow: function (tr, subRow) {
+                var $this = this;
+                tr = getElement(tr);
+                subRow = getElement(subRow);
+                this.getSubRowItemElements(subRow).forEach(function (item) {
+                    var isShown = $this.isShownInSubRow(parseInt(item.getAttribute('data-rth-column'), 10), parseInt(item.getAttribute('data-rth-span'), 10));
+                    item.style.display = isShown ? '' : 'none';
+                });
+
+                if ('move' === this.options.subRowMode) {
+                    this.moveSubRowContent(tr, subRow);
+                }
+            },
+            /**
+             * Returns whether the cell starting at the given column (0-based, the plus column doesn't count)
+             * and covering the given number of columns is displayed in the sub rows.
+             *
+             * That's the case if all its columns are hidden, and if its column is not filtered out by the expandedColumnFilterIndexes
+             * nor hidden by the user (see the setColumnVisibility method).
+             *
+             * @param index
+             * @param span
+             * @returns bool
+             */
+            isShownInSubRow: function (index, span) {
+                if (
+                    -1 !== this.expandedColumnFilterIndexes.indexOf(index) ||
+                    'hidden' === this.getColumnVisibility(index)
+                ) {
+                    return false;
+                }
+                for (var i = index; i < index + span; i++) {
+                    if (-1 === this.columnsToHide.indexOf(this.getGridColumnIndex(i))) {
+                        return false;
+                    }
+                }
+                return true;
+            },
+            /**
+             * Used by the "move" sub row mode (see the subRowMode option).
+             *
+             * Moves the content (the actual nodes, with their events and data) of the cells of the given row (tr)
+             * which are displayed in the given sub row into it, and moves the content of the other cells back to their original cell.
+             *
+             * In the sub row, the content goes into the element with the data-rth-value attribute of the item
+             * (or the item itself if it has this attribute).
+             *
+             * If restoreAll is true, the content of all cells is moved back to their original cell.
+             *
+             * @param tr, dom element or jquery object
+             * @param subRow, dom element or jquery object
+             * @param restoreAll, bool=false
+             */
+            moveSubRowContent: function (tr, subRow, restoreAll) {
+                var $this = this;
+                tr = getElement(tr);
+                subRow = getElement(subRow);
+                var cells = {};
+                this.getRowItems(tr).forEach(function (item) {
+                    cells[$this.getUserColumnIndex(item.start)] = item;
+                });
+
+                this.getSubRowItemElements(subRow).forEach(function (element) {
+                    var item = cells[element.getAttribute('data-rth-column')];
+                    if (undefined === item) {
+                        return;
+                    }
+                    var value = matches(element, '[data-rth-value]') ? element : element.querySelector('[data-rth-value]');
+                    if (null === value) {
+                        return;
+                    }
+                    var inSubRow = (
+                        true !== restoreAll &&
+                        $this.isShownInSubRow($this.getUserColumnIndex(item.start), item.span)
+                    );
+                    if (true === inSubRow) {
+                        moveChildNodes(value, item.cell);
+                    } else {
+                        moveChildNodes(item.cell, value);
+                    }
+                });
+            },
+            removePlusColumn: function () {
+                this.getPlusCells().forEach(removeNode);
+            },
+            /**
+             * Returns the given array of elements as a jquery object if jquery is loaded (see the getJquery function),
+             * or else the array itself.
+             *
+             * This is what the methods of this tool return, and what the callbacks and the event handlers receive,
+             * so that the code written for jquery keeps working, while jTr[0] (for instance) works in both cases.
+             *
+             * @param elements, array
+             * @returns jQuery|array
+             */
+            wrap: function (elements) {
+                return (null === this.$) ? elements : this.$(elements);
+            },
+            /**
+             * Binds the given handler to the given event type on the given target (a dom element or the window),
+             * and remembers it, so that the destroy method can unbind it (see the removeListeners method).
+             *
+             * If a selector is given, the event is delegated: the handler is only called for the events coming from
+             * an element matching the selector inside the target, and "this" is that element (like with jquery).
+             * If the handler returns false, the default action is prevented and the event stops propagating.
+             *
+             * With jquery, the handler is bound with the jquery on method, so that the events triggered with jquery reach it.
+             *
+             * @param target
+             * @param type, string, the event type
+             * @param selector, string|null
+             * @param handler, function(e)
+             */
+            addListener: function (target, type, selector, handler) {
+                if (null !== this.$) {
+                    this.$(target).on(type + this.eventNamespace, selector, handler);
+                    this.listeners.push({target: target});
+                    return;
+                }
+                var listener = function (e) {
+                    var element = (null === selector) ? target : closest(e.target, selector, target);
+                    if (null !== element && false === handler.call(element, e)) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                    }
+                };
+                target.addEventListener(type, listener);
+                this.listeners.push({target: target, type: type, listener: listener});
+            },
+            /**
+             * Unbinds all the handlers bound by the addListener method.
+             */
+            removeListeners: function () {
+                var $this = this;
+                this.listeners.forEach(function (listener) {
+                    if (undefined === listener.listener) {
+                        $this.$(listener.target).off($this.eventNamespace);
+                    } else {
+                        listener.target.removeEventListener(listener.type, listener.listener);
+                    }
+                });
+                this.listeners = [];
+            },
+            /**
+             * Undoes everything this tool did to the table, and unbinds all its events.
+             *
+             * After this call, the table is back to the state it was in before the constructor ran:
+             * the plus column, the sub rows and the expanded states are removed, and
+             * the cells get their original style attribute back.
+             *
+             * The instance shouldn't be used anymore after that (create a new one if you need to).
+             */
+            destroy: function () {
+                var $this = this;
+
+                this.removeListeners();
+
+                if (null !== this.mutationObserver) {
+                    this.mutationObserver.disconnect();
+                    this.mutationObserver = null;
+                }
+                if (null !== this.resizeObserver) {
+                    this.resizeObserver.disconnect();
+                    this.resizeObserver = null;
+                }
+                if (null !== this.refreshTimeout) {
+                    clearTimeout(this.refreshTimeout);
+                    this.refreshTimeout = null;
+                }
+                if (null !== this.redrawFrame) {
+                    cancelFrame(this.redrawFrame);
+                    this.redrawFrame = null;
+                }
+
+                this.getRowElements().forEach(function (tr) {
+                    if (tr.classList.contains('rth-expanded-row')) {
+                        $this.removeSubRow(tr);
+                        removeClass(tr, 'rth-expanded-row');
+                    }
+                });
+                this.getSubRows().forEach(removeNode);
+                this.subRowLinks = [];
+                this.removePlusColumn();
+                removeClass(this.table, this.tableClass);
+                this.removeCardMode();
+                this.removeDirection();
+                getRowsCells(this.getRowElements()).forEach(function (cell) {
+                    setColumnClass(cell, null);
+                });
+                if (null !== this.styleElement) {
+                    removeNode(this.styleElement);
+                    this.styleElement = null;
+                }
+                restoreCellColspans(this.table);
+
+                this.originalStyles.forEach(function (original) {
+                    if (null === original.style) {
+                        original.cell.removeAttribute('style');
+                    } else {
+                        original.cell.setAttribute('style', original.style);
+                    }
+                });
+                this.originalStyles = [];
+
+                if (null !== this.liveRegion) {
+                    removeNode(this.liveRegion);
+                    this.liveRegion = null;
+                }
+                if (null !== this.columnPickerElement) {
+                    removeNode(this.columnPickerElement);
+                    this.columnPickerElement = null;
+                }
+                this.hiddenColumnIndexes = null;
+                this.columnGrid = null;
+                this.appliedColumnsKey = null;
+                this.layoutCache = null;
+                this.cardMode = false;
+                this.firstListenCall = true;
+                if (this === this.table[instanceProperty]) {
+                    delete this.table[instanceProperty];
+                }
+            },
+            /**
+             * This method is called many times very rapidly (i.e. on every resize triggered event).
+             * It basically redraws the rows of the table, according to the available width.
+             * The extra column containing the plus toggler will be added/removed depending on whether the table
+             * has been cut.
+             *
+             */
+            redraw: function () {
+
+                this.trigger('beforeRedraw');
+
+                var $this = this;
+                var focusedElement = this.getFocusedElement();
+
+                /**
+                 * Most resize events don't change the layout parameters (only the available width, and not by much),
+                 * so the layout is only computed again when one of them changes.
+                 */
+                var layoutParams = this.getLayoutParams();
+                var layoutKey = JSON.stringify(layoutParams);
+                if (null === this.layoutCache || layoutKey !== this.layoutCache.key) {
+                    this.layoutCache = {
+                        key: layoutKey,
+                        layout: ResponsiveTableHelper.computeLayout(layoutParams),
+                    };
+                }
+                var layout = this.layoutCache.layout;
+
+                // the layout is in user column indexes, whereas the dom works with the column grid indexes (see the getUserColumnIndex method)
+                var columnsToHide = layout.hiddenColumnIndexes.map(function (index) {
+                    return $this.getGridColumnIndex(index);
+                });
+                if (false === layout.toggleColumn) {
+                    columnsToHide.push(this.plusColumnIndex);
+                }
+                this.columnsToHide = columnsToHide; // transmit data for the vertical treatment
+
+
+                /**
+                 * Now redraw the html, but only if the hidden columns have changed since the last redraw
+                 * (most resize events don't change anything).
+                 */
+                var columnsKey = columnsToHide.slice().sort(sortNumber).join(',') + (layout.cardMode ? '|card' : '');
+                if (columnsKey !== this.appliedColumnsKey) {
+                    this.appliedColumnsKey = columnsKey;
+                    this.hideColumns(columnsToHide);
+
+                    /**
+                     * Now resize opened subrows
+                     */
+                    this.getSubRows().forEach(function (subRow) {
+                        var tr = $this.getSubRowSource(subRow);
+                        if (null !== tr) {
+                            $this.updateSubRow(tr, subRow);
+                        }
+                    });
+
+
+                    this.setCardMode(layout.cardMode);
+                }
+
+
+                /**
+                 * Notify the listeners if the hidden columns have changed
+                 */
+                var hiddenColumnIndexes = layout.hiddenColumnIndexes.slice(); // the cached layout must not be touched
+                if (null === this.hiddenColumnIndexes || hiddenColumnIndexes.join(',') !== this.hiddenColumnIndexes.join(',')) {
+                    if (null !== this.hiddenColumnIndexes) {
+                        this.announceHiddenColumns(hiddenColumnIndexes);
                     }
+                    this.hiddenColumnIndexes = hiddenColumnIndexes;
+                    this.trigger('columnsChanged', [hiddenColumnIndexes.slice(), layout.visibleColumnIndexes.slice()]);
                 }
+
+                this.restoreFocus(focusedElement);
             },
             /**
-             * Returns whether a breakpoint boundary is crossed in either direction.
+             * Returns the parameters of the ResponsiveTableHelper.computeLayout function for the current state of the table
+             * (the measured widths, the available width, the options and the columns visibility).
+             *
+             * @returns object
+             */
+            getLayoutParams: function () {
+                var $this = this;
+                var minWidths = {};
+                Object.keys(this.minWidths).forEach(function (column) {
+                    var width = $this.minWidths[column];
+                    column = parseInt(column, 10);
+                    if (column !== $this.plusColumnIndex) {
+                        minWidths[$this.getUserColumnIndex(column)] = width;
+                    }
+                });
+
+                var columnWeights = {};
+                if ('priority' !== this.options.collapseStrategy) {
+                    // only the explicit weights, computeLayout handles the default ones
+                    this.collapsibleColumnIndexes.forEach(function (index) {
+                        var weight = $this.getColumnWeight(index);
+                        if (null !== weight) {
+                            columnWeights[index] = weight;
+                        }
+                    });
+                }
+
+                return {
+                    minWidths: minWidths,
+                    toggleColumnWidth: this.minWidths[this.plusColumnIndex] || 0,
+                    availableWidth: this.availableWidth,
+                    padding: this.padding,
+                    collapsibleColumnIndexes: this.collapsibleColumnIndexes,
+                    expandedColumnFilterIndexes: this.expandedColumnFilterIndexes,
+                    columnVisibility: this.columnVisibility,
+                    collapseStrategy: this.options.collapseStrategy,
+                    columnWeights: columnWeights,
+                    cardModeThreshold: this.options.cardModeThreshold,
+                };
+            },
+            /**
+             * Returns the indexes (0-based, the plus column doesn't count) of the columns to collapse, picked amongst
+             * the given collapsible columns (ordered by collapse priority), so that at least the given width is freed.
+             * See the collapseStrategy option.
+             *
+             * If even collapsing all the given columns doesn't free enough width, they are all collapsed.
+             *
+             * This is the computation done by the ResponsiveTableHelper.computeLayout function, with the measured widths
+             * and the options of the table (see the getLayoutParams method).
+             *
+             * @param collapsibleColumnIndexes, array
+             * @param neededWidth, the width to free
+             * @returns array
+             */
+            getColumnsToCollapse: function (collapsibleColumnIndexes, neededWidth) {
+                var params = this.getLayoutParams();
+                return getColumnsToCollapse(params.minWidths, collapsibleColumnIndexes, neededWidth, params.collapseStrategy, params.columnWeights);
+            },
+            /**
+             * Returns the weight (i.e. the importance) of the given column (0-based index, the plus column doesn't count),
+             * used by the fewestColumns and weighted collapse strategies (see the collapseStrategy option).
+             *
+             * The weight comes from the columnWeights option, or else from the data-rth-weight attribute of the header cell.
+             * By default, the weight is the rank of the column in the given collapse order (1 for the column which
+             * collapses first, 2 for the next one, and so on).
+             *
+             * Without a collapse order, null is returned for a column without weight (that's how the getLayoutParams method
+             * calls it, the ResponsiveTableHelper.computeLayout function computes the default weights itself).
+             *
+             * @param index
+             * @param collapsibleColumnIndexes, array (optional)
+             * @returns number|null
+             */
+            getColumnWeight: function (index, collapsibleColumnIndexes) {
+                var weights = this.options.columnWeights;
+                if (null !== weights && undefined !== weights[index]) {
+                    return parseFloat(weights[index]);
+                }
+                var cell = this.getHeaderCellElements()[index];
+                if (cell && cell.hasAttribute('data-rth-weight')) {
+                    return parseFloat(cell.getAttribute('data-rth-weight'));
+                }
+                if (undefined === collapsibleColumnIndexes) {
+                    return null;
+                }
+                return collapsibleColumnIndexes.indexOf(index) + 1;
+            },
+            /**
+             * Returns the visibility of the given column (0-based index, the plus column doesn't count),
+             * see the setColumnVisibility method.
+             *
+             * @param index
+             * @returns string, auto|hidden|pinned
+             */
+            getColumnVisibility: function (index) {
+                return this.columnVisibility[index] || 'auto';
+            },
+            /**
+             * Sets the visibility of the given column (0-based index, the plus column doesn't count), which is one of:
+             *
+             * - auto: the column collapses automatically if it's collapsible (see the collapsibleColumnIndexes option)
+             * - hidden: the column is always hidden (it's not displayed in the sub rows either)
+             * - pinned: the column never collapses
+             *
+             * The automatic collapsing then works on the remaining columns.
+             * The choice is part of the state (see the getState method), and the columnVisibilityChanged event is triggered.
+             *
+             * @param index
+             * @param visibility, string
+             */
+            setColumnVisibility: function (index, visibility) {
+                index = parseInt(index, 10);
+                if (-1 === ['auto', 'hidden', 'pinned'].indexOf(visibility)) {
+                    this.error("Unknown column visibility: " + visibility + ", use auto, hidden or pinned.");
+                }
+                if (visibility === this.getColumnVisibility(index)) {
+                    return;
+                }
+
+                if ('auto' === visibility) {
+                    delete this.columnVisibility[index];
+                } else {
+                    this.columnVisibility[index] = visibility;
+                }
+
+                if (false === this.firstListenCall) {
+                    this.redraw();
+                    this.refreshColumnPicker();
+                }
+                this.saveState();
+                this.trigger('columnVisibilityChanged', [index, visibility, extend({}, this.columnVisibility)]);
+            },
+            /**
+             * Builds (or rebuilds) the column picker (see the columnPicker option): a button opening a menu,
+             * with a select per column to choose its visibility (see the setColumnVisibility method).
+             */
+            refreshColumnPicker: function () {
+                if (true !== this.options.columnPicker) {
+                    return;
+                }
+
+                var $this = this;
+                var texts = extend({}, ResponsiveTableHelper._defaults.columnPickerTexts, this.options.columnPickerTexts);
+                var menuId = 'rth-' + this.id + '-column-picker';
+                var isOpen = false;
+
+                if (null === this.columnPickerElement) {
+                    var picker = createElement('<div class="rth-column-picker"></div>');
+                    var button = createElement('<button type="button" class="rth-column-picker-button" aria-expanded="false"></button>');
+                    button.setAttribute('aria-controls', menuId);
+                    button.textContent = texts.button;
+                    picker.appendChild(button);
+                    var menu = createElement('<div class="rth-column-picker-menu" hidden></div>');
+                    menu.setAttribute('id', menuId);
+                    picker.appendChild(menu);
+                    this.columnPickerElement = picker;
+
+                    this.addListener(picker, 'click', '.rth-column-picker-button', function () {
+                        $this.toggleColumnPicker();
+                    });
+                    this.addListener(picker, 'change', 'select', function () {
+                        $this.setColumnVisibility(this.getAttribute('data-rth-column'), this.value);
+                    });
+                    this.addListener(picker, 'keydown', '.rth-column-picker-menu', function (e) {
+                        if (27 === e.which) { // escape
+                            $this.toggleColumnPicker(false);
+                            picker.querySelector('.rth-column-picker-button').focus();
+                        }
+                    });
+
+                    var pickerContainer = getElement(this.options.columnPickerContainer);
+                    if (null !== pickerContainer) {
+                        pickerContainer.appendChild(picker);
+                    } else {
+                        this.table.parentNode.insertBefore(picker, this.table);
+                    }
+                } else {
+                    isOpen = (false === this.columnPickerElement.querySelector('.rth-column-picker-menu').hidden);
+                }
+                this.columnPickerElement.setAttribute('dir', this.direction);
+
+
+                /**
+                 * Rebuild the menu, keeping the focus on the same select if possible
+                 */
+                var focused = window.document.activeElement;
+                var focusedColumn = (matches(focused, 'select') && this.columnPickerElement.contains(focused)) ? focused.getAttribute('data-rth-column') : null;
+
+                var menuElement = this.columnPickerElement.querySelector('.rth-column-picker-menu');
+                menuElement.innerHTML = '';
+                this.columnLabels.forEach(function (label, index) {
+                    var selectId = menuId + '-' + index;
+                    var item = createElement('<div class="rth-column-picker-item"></div>');
+                    var labelElement = createElement('<label></label>');
+                    labelElement.setAttribute('for', selectId);
+                    labelElement.textContent = label;
+                    item.appendChild(labelElement);
+
+                    var select = createElement('<select></select>');
+                    select.setAttribute('id', selectId);
+                    select.setAttribute('data-rth-column', index);
+                    ['auto', 'pinned', 'hidden'].forEach(function (visibility) {
+                        var option = createElement('<option></option>');
+                        option.value = visibility;
+                        option.textContent = texts[visibility];
+                        select.appendChild(option);
+                    });
+                    select.value = $this.getColumnVisibility(index);
+
+                    item.appendChild(select);
+                    menuElement.appendChild(item);
+                });
+
+                if (null !== focusedColumn) {
+                    var select = menuElement.querySelector('select[data-rth-column="' + focusedColumn + '"]');
+                    if (null !== select) {
+                        select.focus();
+                    }
+                }
+                this.toggleColumnPicker(isOpen);
+            },
+            /**
+             * Opens or closes the column picker menu (see the columnPicker option).
+             *
+             * @param isOpen, bool (optional, defaults to the opposite of the current state)
+             */
+            toggleColumnPicker: function (isOpen) {
+                if (null === this.columnPickerElement) {
+                    return;
+                }
+                var menu = this.columnPickerElement.querySelector('.rth-column-picker-menu');
+                if (undefined === isOpen) {
+                    isOpen = menu.hidden;
+                }
+                menu.hidden = !isOpen;
+                this.columnPickerElement.querySelector('.rth-column-picker-button').setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+            },
+            /**
+             * Returns whether the table should be displayed in card mode (see the cardModeThreshold option).
+             *
+             * @param columnsTotalWidth, the width of the visible columns, once the collapsible columns are hidden
+             * @returns bool
+             */
+            isCardModeWidth: function (columnsTotalWidth) {
+                return isCardModeWidth(this.availableWidth, columnsTotalWidth, this.options.cardModeThreshold, this.padding);
+            },
+            /**
+             * Returns whether the table is currently displayed in card mode (see the cardModeThreshold option).
+             *
+             * @returns bool
+             */
+            isCardMode: function () {
+                return this.cardMode;
+            },
+            /**
+             * Switches the table to or from the card mode.
+             *
+             * In card mode, the table has the rth-card-mode class, the header rows have the rth-card-header-row class,
+             * and the other cells have a data-rth-card-label attribute containing the label of their column,
+             * the css does the rest.
+             * The labels are refreshed on every call, since the rows might have changed.
+             *
+             * The sub rows are hidden by the css, but the rows stay expanded, so that the sub rows come back
+             * when the table leaves the card mode.
+             *
+             * @param isCardMode, bool
+             */
+            setCardMode: function (isCardMode) {
+                var $this = this;
+                if (true === isCardMode) {
+                    this.table.classList.add('rth-card-mode');
+                    var headerRows = this.getRowElements('header');
+                    headerRows.forEach(function (tr) {
+                        tr.classList.add('rth-card-header-row');
+                    });
+                    var fullRows = this.getRowElements('full'); // a "No results" row doesn't need a label
+                    this.getRowElements().forEach(function (tr) {
+                        if (tr.classList.contains('rth-sub-row') || -1 !== headerRows.indexOf(tr) || -1 !== fullRows.indexOf(tr)) {
+                            return;
+                        }
+                        $this.getRowItems(tr).forEach(function (item) {
+                            var label = $this.columnLabels[$this.getUserColumnIndex(item.start)];
+                            item.cell.setAttribute('data-rth-card-label', (undefined === label) ? '' : label);
+                        });
+                    });
+                } else if (true === this.cardMode) {
+                    this.removeCardMode();
+                }
+
+                if (isCardMode !== this.cardMode) {
+                    this.cardMode = isCardMode;
+                    this.trigger('cardModeChanged', [isCardMode]);
+                }
+            },
+            /**
+             * Removes the classes and attributes added by the card mode.
+             */
+            removeCardMode: function () {
+                removeClass(this.table, 'rth-card-mode');
+                var rows = this.getRowElements();
+                rows.forEach(function (tr) {
+                    if (tr.classList.contains('rth-card-header-row')) {
+                        removeClass(tr, 'rth-card-header-row');
+                    }
+                });
+                getRowsCells(rows).forEach(function (cell) {
+                    cell.removeAttribute('data-rth-card-label');
+                });
+            },
+            /**
+             * Tells the screen reader users which columns are hidden, using the live region (see the hiddenColumnsMessage option).
+             *
+             * @param hiddenColumnIndexes, array of 0-based column indexes (the plus column doesn't count)
+             */
+            announceHiddenColumns: function (hiddenColumnIndexes) {
+                if (null === this.liveRegion) {
+                    return;
+                }
+                var $this = this;
+                var message = this.options.noHiddenColumnsMessage;
+                if (hiddenColumnIndexes.length) {
+                    var labels = hiddenColumnIndexes.map(function (index) {
+                        return $this.columnLabels[index];
+                    });
+                    message = this.options.hiddenColumnsMessage.replace('%s', labels.join(', '));
+                }
+                this.liveRegion.textContent = message;
+            },
+            /**
+             * Calls the option callback associated with the given event (if any), then triggers
+             * the event on the table, with the "rth:" prefix.
              *
-             * @param windowSize
-             * @returns bool
+             * For instance, the "rowExpanded" event calls the onRowExpanded option callback, then
+             * triggers the "rth:rowExpanded" event on the table.
+             *
+             * The callback receives the given args (and "this" is the ResponsiveTableHelper instance),
+             * the jquery event handlers receive the jquery event first, then the given args.
+             * The native listeners receive a CustomEvent, which detail property holds the given args
+             * (table.addEventListener('rth:rowExpanded', function (e) { var jTr = e.detail[0]; ... })), with or without jquery.
+             *
+             * When jquery is loaded, the event is triggered with jquery first (for the jquery handlers), then dispatched as a CustomEvent
+             * while jQuery.event.triggered holds its type: that's how jquery itself calls the native methods (click, focus...)
+             * in its trigger method, the jquery handlers ignore the native event then, so that they are not called twice.
+             *
+             * The event bubbles, so that the delegated listeners work ($(document).on('rth:rowExpanded', 'table', ...)).
+             * When a responsive table is nested in another one, the listeners of the outer table receive the events
+             * of the inner table too: check that the event target is the table (if (e.target === this) { ... }).
+             *
+             * See the "on*" options for the list of events.
+             *
+             * @param eventName
+             * @param args, array (optional)
              */
-            isBreakpointsBoundaryCrossed: function (windowSize) {
-                if (false !== this.breakpointLowBoundary) {
-                    if (
-                        windowSize < this.breakpointLowBoundary ||
-                        (null !== this.breakpointHighBoundary && windowSize > this.breakpointHighBoundary)
-                    ) {
-                        this.initializeBreakpointsBoundaries(windowSize, true);
-                        return true;
+            trigger: function (eventName, args) {
+                args = args || [];
+                var callback = this.options['on' + eventName.charAt(0).toUpperCase() + eventName.substr(1)];
+                if ('function' === typeof callback) {
+                    callback.apply(this, args);
+                }
+                var type = 'rth:' + eventName;
+                var event = new window.CustomEvent(type, {
+                    bubbles: true,
+                    cancelable: true,
+                    detail: args,
+                });
+                if (null !== this.$) {
+                    this.$(this.table).trigger(type, args);
+                    this.$.event.triggered = type;
+                    try {
+                        this.table.dispatchEvent(event);
+                    } finally {
+                        this.$.event.triggered = undefined;
                     }
+                } else {
+                    this.table.dispatchEvent(event);
                 }
-                return false;
             },
             /**
-             * Adds a sub row (if it doesn't exist already) below the given tr jquery object.
+             * Remove the entry of arr if the given value match the entry's value.
              *
-             * @param jTr
+             * @param arr
+             * @param value
              */
-            addSubRow: function (jTr) {
-
-                // add the row only if it doesn't exist already
-                var jNextTr = jTr.next('tr');
-                if (jNextTr.length && jNextTr.hasClass('rth-sub-row')) {
-                    return;
+            removeByValue: function (arr, value) {
+                var index = arr.indexOf(value);
+                if (index !== -1) {
+                    arr.splice(index, 1);
                 }
-
-                var $this = this;
-                var s = '';
-                s += '<table>';
-                jTr.find('> td').not(":first").each(function (index) {
-
-                    var sStyle = '';
-                    if (
-                        -1 !== $this.options.expandedColumnFilterIndexes.indexOf(index) ||
-                        -1 === $this.columnsToHide.indexOf(index + 1)
-                    ) {
-                        sStyle = 'style="display: none"';
-                    }
+            },
+            sum: function (arrObj) {
+                var sum = 0;
+                for (var i in arrObj) {
+                    sum += arrObj[i];
+                }
+                return sum;
+            },
+            error: function (msg) {
+                throw new Error("ResponsiveTableHelper error: " + msg);
+            },
+        };
 
 
-                    s += '<tr ' + sStyle + '>';
-                    var content = $(this).html();
-                    var label = $this.options.columnLabels[index];
-                    s += '<td>' + label + '</td>';
-                    s += '<td>' + content + '</td>';
+        /**
+         * The built-in sub row layouts (see the subRowLayout option).
+         *
+         * Each layout is a function(cells) returning the html of the sub row content, where cells is the array
+         * described in the subRowRenderer option.
+         * You can add your own layouts here, and then use their name in the subRowLayout option.
+         */
+        ResponsiveTableHelper.subRowLayouts = {
+            /**
+             * A table of label/value rows.
+             */
+            table: function (cells) {
+                var s = '<table class="rth-sub-row-table">';
+                cells.forEach(function (cell) {
+                    s += '<tr ' + cell.itemAttributes + '>';
+                    s += '<th scope="row">' + cell.label + '</th>';
+                    s += '<td data-rth-value>' + cell.html + '</td>';
                     s += '</tr>';
                 });
                 s += '</table>';
-
-                // colspan trick here: might not be optimal in every browser, but should work in most browsers
-                var jContentTr = $('<tr class="rth-sub-row"><td colspan="999">' + s + '</td></tr>');
-                jTr.after(jContentTr);
+                return s;
             },
             /**
-             * Removes the subrow of the given tr jquery object.
-             * @param jTr
+             * A definition list, each label/value pair being wrapped in a div.
              */
-            removeSubRow: function (jTr) {
-                var jNextTr = jTr.next('tr');
-                if (jNextTr.length && jNextTr.hasClass('rth-sub-row')) {
-                    jNextTr.remove();
-                }
-            },
-            removePlusColumn: function () {
-                this.jTable.find('.rth-plus-column').remove();
+            dl: function (cells) {
+                var s = '<dl class="rth-sub-row-list">';
+                cells.forEach(function (cell) {
+                    s += '<div ' + cell.itemAttributes + '>';
+                    s += '<dt>' + cell.label + '</dt>';
+                    s += '<dd data-rth-value>' + cell.html + '</dd>';
+                    s += '</div>';
+                });
+                s += '</dl>';
+                return s;
             },
             /**
-             * This method is called many times very rapidly (i.e. on every resize triggered event).
-             * It basically redraws the rows of the table, according to the available width.
-             * The extra column containing the plus toggler will be added/removed depending on whether the table
-             * has been cut.
-             *
+             * A grid of cards, each card containing a label and a value.
              */
-            redraw: function () {
+            cards: function (cells) {
+                var s = '<div class="rth-sub-row-cards">';
+                cells.forEach(function (cell) {
+                    s += '<div class="rth-sub-row-card" ' + cell.itemAttributes + '>';
+                    s += '<div class="rth-sub-row-card-label">' + cell.label + '</div>';
+                    s += '<div class="rth-sub-row-card-value" data-rth-value>' + cell.html + '</div>';
+                    s += '</div>';
+                });
+                s += '</div>';
+                return s;
+            },
+        };
 
-                var $this = this;
-                var collapsibleColumnIndexes = this.collapsibleColumnIndexes.slice();
 
+        /**
+         * Returns the instance handling the given table (a dom element, jquery object or selector), or null if there is none.
+         *
+         * @param table
+         * @returns ResponsiveTableHelper|null
+         */
+        ResponsiveTableHelper.getInstance = function (table) {
+            table = getElement(table);
+            return (null !== table && table[instanceProperty]) || null;
+        };
 
-                var columnsTotalWidth = parseInt(this.columnsTotalWidth);
-                var columnsToShow = Object.keys(this.minWidths).map(function (x) {
-                    return parseInt(x, 10);
-                });
-                var columnsToHide = [];
 
-                /**
-                 * Find the columns to hide
-                 */
-                while (this.availableWidth < columnsTotalWidth) {
-                    var nextColumnToCollapse = collapsibleColumnIndexes.shift();
-                    if ('undefined' === typeof nextColumnToCollapse) {
-                        break;
+        /**
+         * Returns the array of the living instances (i.e. not destroyed) of the tables of the page, in the dom order.
+         *
+         * If root (a dom element, jquery object or selector) is given, only the instances which table is inside root
+         * (or is root) are returned.
+         * The instances are stored on their tables (see the getInstance method), so the tables removed from the page are not included.
+         *
+         * This is handy to refresh the tables after their size changed while they were hidden, for instance:
+         *
+         * ```js
+         * $('a[data-toggle="tab"]').on('shown.bs.tab', function (e) {
+         *     ResponsiveTableHelper.instances($(e.target).attr('href')).forEach(function (rth) {
+         *         rth.refresh();
+         *     });
+         * });
+         * ```
+         *
+         * @param root (optional)
+         * @returns array
+         */
+        ResponsiveTableHelper.instances = function (root) {
+            var roots = (undefined === root || null === root) ? [window.document] : getElements(root);
+            var instances = [];
+            roots.forEach(function (element) {
+                [element].concat(findAll(element, 'table')).forEach(function (table) {
+                    var instance = ResponsiveTableHelper.getInstance(table);
+                    if (null !== instance && -1 === instances.indexOf(instance)) {
+                        instances.push(instance);
                     }
+                });
+            });
+            return instances;
+        };
 
-                    nextColumnToCollapse += 1;
-
-                    if (nextColumnToCollapse in this.minWidths) {
-                        columnsTotalWidth -= this.minWidths[nextColumnToCollapse];
-                        columnsToHide.push(nextColumnToCollapse);
-                        this.removeByValue(columnsToShow, nextColumnToCollapse);
 
-                    } else {
-                        this.error("The column with index " + nextColumnToCollapse + " was not defined in minWidths.");
-                    }
-                }
+        /**
+         * Returns the layout of a table (which columns are hidden, whether the toggle column is needed, ...) for the given
+         * parameters: this is the computation done by the redraw method, minus the dom.
+         *
+         * It doesn't need a browser, so you can use it to preview a layout, or to decide on the server which columns to render:
+         *
+         * ```js
+         * var ResponsiveTableHelper = require('path/to/responsive-table-helper.js');
+         * var layout = ResponsiveTableHelper.computeLayout({
+         *     minWidths: [40, 120, 200, 150],
+         *     availableWidth: 300,
+         *     collapsibleColumnIndexes: [3, 2],
+         * });
+         * // layout.hiddenColumnIndexes: [2, 3], layout.visibleColumnIndexes: [0, 1], layout.toggleColumn: true
+         * ```
+         *
+         * All the column indexes are 0-based, and the toggle column (the plus column) doesn't count.
+         * The parameters are:
+         *
+         * - minWidths: object|array, column index => the minimum width (in pixels) of the column, see the getColumnMinWidths method.
+         *      The columns not in minWidths are ignored.
+         * - availableWidth: number, the width available for the table (the padding already subtracted)
+         * - toggleColumnWidth: number = 0, the width of the toggle column
+         * - collapsibleColumnIndexes: array = [], the columns which can collapse, the first one collapses first
+         * - expandedColumnFilterIndexes: array = [], the columns which are not displayed in the sub rows
+         * - columnVisibility: object = {}, column index => hidden|pinned, see the setColumnVisibility method
+         * - collapseStrategy: string = priority, see the collapseStrategy option
+         * - columnWeights: object|array = null, column index => weight, see the columnWeights option
+         * - cardModeThreshold: null|number|auto = null, see the cardModeThreshold option
+         * - padding: number = 0, the padding option (only used with a numeric cardModeThreshold)
+         *
+         * The returned object contains:
+         *
+         * - hiddenColumnIndexes: array, the hidden columns (collapsed or hidden by the user), in ascending order
+         * - visibleColumnIndexes: array, the other columns of minWidths, in ascending order
+         * - collapsedColumnIndexes: array, the columns which collapsed to make the table fit, in collapse order
+         * - toggleColumn: bool, whether the toggle column is needed, i.e. whether a collapsed column is displayed in the sub rows
+         * - cardMode: bool, whether the table is displayed in card mode (then no column collapses)
+         *
+         * @param params, object
+         * @returns object
+         */
+        ResponsiveTableHelper.computeLayout = function (params) {
+            params = extend({
+                minWidths: {},
+                availableWidth: 0,
+                toggleColumnWidth: 0,
+                collapsibleColumnIndexes: [],
+                expandedColumnFilterIndexes: [],
+                columnVisibility: {},
+                collapseStrategy: 'priority',
+                columnWeights: null,
+                cardModeThreshold: null,
+                padding: 0,
+            }, params);
 
-                // no columns to hide?
-                var hasColumnsToExpand = true;
-                if (0 === columnsToHide.length) {
-                    hasColumnsToExpand = false;
-                } else {
-                    var columnsToHideCopy = columnsToHide.filter(function (e) {
-                        /**
-                         * I add +1 because the expandedColumnFilterIndexes starts with 0 based on the
-                         * user provided data, whereas columnsToHide's 0 is the toggle column with the plus button.
-                         */
-                        return (-1 === $this.options.expandedColumnFilterIndexes.indexOf(e - 1));
-                    });
+            var minWidths = params.minWidths;
+            var columnVisibility = params.columnVisibility;
+            var columns = Object.keys(minWidths).map(function (x) {
+                return parseInt(x, 10);
+            }).sort(sortNumber);
 
-                    if (0 === columnsToHideCopy.length) {
-                        hasColumnsToExpand = false;
-                    }
-                }
+            var columnsWidth = params.toggleColumnWidth;
+            columns.forEach(function (index) {
+                columnsWidth += minWidths[index];
+            });
 
-                if (false === hasColumnsToExpand) {
-                    columnsToHide.push(0);
-                }
+            /**
+             * The columns hidden by the user are always hidden
+             */
+            var userHiddenColumns = columns.filter(function (index) {
+                return 'hidden' === columnVisibility[index];
+            });
+            userHiddenColumns.forEach(function (index) {
+                columnsWidth -= minWidths[index];
+            });
 
+            /**
+             * Find the columns to collapse, the columns pinned or hidden by the user don't collapse automatically,
+             * and the columns not in minWidths are ignored
+             */
+            var collapsibleColumnIndexes = params.collapsibleColumnIndexes.map(function (x) {
+                return parseInt(x, 10);
+            }).filter(function (index) {
+                return (index in minWidths) && (undefined === columnVisibility[index] || 'auto' === columnVisibility[index]);
+            });
+            var collapsedColumns = getColumnsToCollapse(minWidths, collapsibleColumnIndexes, columnsWidth - params.availableWidth, params.collapseStrategy, params.columnWeights);
+            collapsedColumns.forEach(function (index) {
+                columnsWidth -= minWidths[index];
+            });
 
-                this.columnsToHide = columnsToHide; // transmit data for the vertical treatment
+            /**
+             * The card mode, if the table is too narrow, replaces the column hiding: only the columns hidden by the user are hidden.
+             */
+            var cardMode = isCardModeWidth(params.availableWidth, columnsWidth, params.cardModeThreshold, params.padding);
+            if (true === cardMode) {
+                collapsedColumns = [];
+            }
 
+            var hiddenColumns = userHiddenColumns.concat(collapsedColumns).sort(sortNumber);
+            return {
+                hiddenColumnIndexes: hiddenColumns,
+                visibleColumnIndexes: columns.filter(function (index) {
+                    return -1 === hiddenColumns.indexOf(index);
+                }),
+                collapsedColumnIndexes: collapsedColumns,
+                toggleColumn: collapsedColumns.some(function (index) {
+                    return -1 === params.expandedColumnFilterIndexes.indexOf(index);
+                }),
+                cardMode: cardMode,
+            };
+        };
 
-                /**
-                 * Now redraw the html
-                 */
-                this.hideColumns(columnsToHide);
 
-                /**
-                 * Now resize opened subrows
-                 */
-                this.jTable.find('.rth-sub-row').each(function () {
-                    $(this).find('tr').each(function (index) {
-                        if (
-                            -1 !== $this.options.expandedColumnFilterIndexes.indexOf(index) ||
-                            -1 === columnsToHide.indexOf(index + 1)
-                        ) {
-                            $(this).hide();
+        /**
+         * The jquery plugin (only when jquery is loaded before the tool): initializes (and calls the listen method of) the
+         * selected tables, or calls a method of their instances.
+         *
+         * ```js
+         * $('table').responsiveTable({padding: 20});  // init, the jTable option is set for you
+         * $('table').responsiveTable('refresh');      // calls the refresh method of every instance
+         * $('table').responsiveTable('expandRow', 2); // the other arguments are passed to the method
+         * var rth = $('#my-table').responsiveTable('instance'); // the instance of the first table
+         * ```
+         *
+         * Each table gets its own instance, stored on the table element (see the ResponsiveTableHelper.getInstance method).
+         * Calling the plugin again on a table which already has an instance doesn't create another one
+         * (the options are ignored then: call destroy first if you need to change them).
+         *
+         * When a method is called, the plugin returns the value of the method for the first table if that value is defined
+         * (for instance with the getState or isExpanded methods), or else the jquery object (so that you can chain).
+         *
+         * Only the public methods can be called this way (see the pluginMethods variable below),
+         * the other methods are internals: use the instance if you really need them.
+         *
+         * @param options, object|string
+         * @returns jQuery|mixed
+         */
+        var pluginMethods = [
+            'listen', 'refresh', 'redraw', 'destroy',
+            'expandRow', 'collapseRow', 'toggleRow', 'expandAll', 'collapseAll', 'isExpanded', 'isAllExpanded',
+            'getState', 'setState', 'getColumnVisibility', 'setColumnVisibility', 'toggleColumnPicker',
+            'isCardMode', 'getProfile', 'getLayoutParams', 'removePlusColumn',
+            'getRow', 'getContentRows', 'getTableRows', 'getRowsByType', 'getHeaderCells', 'getSubRowItems',
+        ];
+        var jQuery = getJquery();
+        if (null !== jQuery) {
+            jQuery.fn.responsiveTable = function (options) {
+                if ('string' === typeof options) {
+                    var method = options;
+                    var args = Array.prototype.slice.call(arguments, 1);
+                    var returnValue;
+                    this.each(function (i) {
+                        var instance = ResponsiveTableHelper.getInstance(this);
+                        if (null === instance) {
+                            throw new Error("ResponsiveTableHelper error: the responsiveTable plugin must be initialized before calling the " + method + " method.");
+                        }
+                        var value;
+                        if ('instance' === method) {
+                            value = instance;
+                        } else if (-1 !== pluginMethods.indexOf(method)) {
+                            value = instance[method].apply(instance, args);
                         } else {
-                            $(this).show();
+                            instance.error("Unknown method: " + method + ".");
+                        }
+                        if (0 === i) {
+                            returnValue = value;
                         }
                     });
+                    return (undefined === returnValue) ? this : returnValue;
+                }
+
+                return this.each(function () {
+                    if (null === ResponsiveTableHelper.getInstance(this)) {
+                        var rth = new ResponsiveTableHelper(extend({}, options, {
+                            table: this,
+                        }));
+                        rth.listen();
+                    }
                 });
+            };
+        }
 
 
-            },
-            /**
-             * Remove the entry of arr if the given value match the entry's value.
-             *
-             * @param arr
-             * @param value
-             */
-            removeByValue: function (arr, value) {
-                var index = arr.indexOf(value);
-                if (index !== -1) {
-                    arr.splice(index, 1);
+        /**
+         * Initializes (and calls the listen method of) every table with the data-rth attribute found in the given root
+         * (the root itself included), see the declarative configuration section in the ResponsiveTableHelper._defaults comments.
+         *
+         * The tables which are already handled by a ResponsiveTableHelper instance are skipped.
+         *
+         * Returns the array of the created instances.
+         *
+         *
+         * @param root, a dom element, jquery object or selector (optional, defaults to the document)
+         * @param options, object (optional), the options to use for every table (they take precedence over the attributes).
+         * @returns array
+         */
+        ResponsiveTableHelper.autoInit = function (root, options) {
+            var tables = [];
+            getElements(root || window.document).forEach(function (element) {
+                if (matches(element, 'table[data-rth]')) {
+                    tables.push(element);
                 }
-            },
-            sum: function (arrObj) {
-                var sum = 0;
-                for (var i in arrObj) {
-                    sum += arrObj[i];
+                if (element.querySelectorAll) {
+                    tables.push.apply(tables, findAll(element, 'table[data-rth]'));
                 }
-                return sum;
-            },
-            error: function (msg) {
-                throw new Error("ResponsiveTableHelper error: " + msg);
-            },
+            });
+            var createdInstances = [];
+            tables.forEach(function (table) {
+                if (null === ResponsiveTableHelper.getInstance(table)) {
+                    var rth = new ResponsiveTableHelper(extend({}, options, {
+                        table: table,
+                    }));
+                    rth.listen();
+                    createdInstances.push(rth);
+                }
+            });
+            return createdInstances;
         };
 
 
         //----------------------------------------
         //
         //----------------------------------------
-        window.ResponsiveTableHelper._defaults = {
+        /**
+         * Declarative configuration
+         * ---------
+         * Instead of (or in addition to) passing the options in js, you can configure a table with html attributes:
+         *
+         * - on the table:
+         *      - data-rth: marks the table for the ResponsiveTableHelper.autoInit method.
+         *          The value can be empty, or a json object containing the options, for instance: data-rth='{"padding": 20}'
+         * - on the cells of the first row:
+         *      - data-rth-priority="3": makes the column collapsible. The columns with the highest priority numbers collapse first
+         *          (i.e. 1 is the most important column). Used only if the collapsibleColumnIndexes option is not set explicitly.
+         *      - data-rth-never-collapse: the column never collapses (even with the "admin" preset).
+         *          Not used if the collapsibleColumnIndexes option is set explicitly as an array.
+         *      - data-rth-hide-in-subrow: the column is not displayed in the sub rows.
+         *          Used only if the expandedColumnFilterIndexes option is not set explicitly.
+         *      - data-rth-label="...": the label of the column, used instead of the cell text when the columnLabels option is "auto".
+         *
+         * The attributes follow the columns, so unlike the index arrays, you don't need to update anything when you reorder
+         * the columns of your template.
+         *
+         * The options set explicitly (in js, or in the data-rth attribute) always take precedence over the column attributes.
+         *
+         *
+         * ```html
+         * <table data-rth>
+         *     <thead>
+         *     <tr>
+         *         <th data-rth-hide-in-subrow><input type="checkbox"></th>
+         *         <th data-rth-never-collapse>Name</th>
+         *         <th data-rth-priority="2">Email</th>
+         *         <th data-rth-priority="3" data-rth-label="Created">Created At</th>
+         *     </tr>
+         *     </thead>
+         *     ...
+         * </table>
+         *
+         * <script>
+         *     ResponsiveTableHelper.autoInit();
+         * </script>
+         * ```
+         */
+        ResponsiveTableHelper._defaults = {
             /**
-             * The jquery element holding the table. This is mandatory.
+             * The jquery element holding the table. This is mandatory, unless the table option is set.
              */
             jTable: null,
             /**
-             * The jquery element holding the container of the table.
-             * If not set, the parent of the jTable element will be used.
+             * The table element (HTMLTableElement), or a selector. Use it instead of the jTable option when jquery is not
+             * loaded, see the "Using the tool without jquery" section of the README.
+             */
+            table: null,
+            /**
+             * The jquery element holding the container of the table (or the dom element, or a selector).
+             * If not set, the parent of the table will be used.
              * The table container is used to calculate the available width (for the table to breathe in).
              */
             jTableContainer: null,
             /**
              * number, the 0-based index representing the row at which the content starts (the content being the rows potentially being resized).
              * Note: every row (even those in the headers) are taken into consideration.
+             *
+             * The rows before that index are treated as header rows: they don't get a toggle button (see the extraColumnHeaderContent option).
+             * Note: the rows of the thead and tfoot elements, and the rows without td, are never content rows anyway,
+             * so you only need this option if your header rows are in the tbody.
              */
             contentRowStartIndex: 0,
+            /**
+             * number, the 0-based index of the row used to compute the labels (when the columnLabels option is "auto"),
+             * and to read the column attributes (data-rth-priority, ...).
+             * Note: every row (even those in the headers) are taken into consideration.
+             *
+             * If your thead has multiple rows (grouped headers, a filter row...), set this to the index of the row
+             * containing one cell per column.
+             */
+            labelRowIndex: 0,
             /**
              * The content of the column added by this tool.
              * See the addColumn method for more details.
              *
              * The ".rth-toggle-button" css class MUST be added to your markup on the element that will
              * be use to toggle between the collapsed and expanded states.
+             *
+             * For accessibility, a button element is recommended. If you use another element (a link for instance),
+             * this tool adds the button role to it, and handles the Enter and Space keys.
+             * In any case, the aria-expanded and aria-controls (pointing to the sub row) attributes are handled by this tool,
+             * and the toggleButtonLabel is used as the aria-label if your element has no text.
+             */
+            extraColumnContent: '<button type="button" class="rth-toggle-button"><i class="fas fa-plus-circle" aria-hidden="true"></i></button>',
+            /**
+             * The content of the column added by this tool, for the header and footer rows (see the contentRowStartIndex option).
+             * See the addColumn method for more details.
+             *
+             * If null, the header and footer rows get an empty cell, unless the extraColumnContent option is
+             * an array (then its th content is used) or a callback (then it's used as well).
+             */
+            extraColumnHeaderContent: null,
+            /**
+             * string|int, the position of the column added by this tool (the plus column), one of:
+             *
+             * - first: before the first column
+             * - last: after the last column
+             * - int: after the column with the given 0-based index (the plus column doesn't count),
+             *      for instance 0 to keep a selection checkbox column first.
+             *
+             * The column indexes of the options and methods of this tool never count the plus column, wherever it is.
+             *
+             * Note: the position is a logical column: in a row where a cell spans across that position (colspan),
+             * the plus cell is put right before that cell. It's still shown and hidden along with the plus column,
+             * and the colspan of the spanning cell only shrinks when its own columns are hidden.
+             */
+            togglePosition: 'first',
+            /**
+             * bool, whether a click anywhere on a content row toggles it (i.e. like a click on its toggle button),
+             * which is what the mobile users usually expect.
+             *
+             * The clicks on the links, buttons, form controls (and labels) of the row are ignored, and so are the clicks
+             * ending a text selection, and the clicks on the rows which don't have anything to expand (i.e. when no
+             * column is hidden).
              */
-            extraColumnContent: '<a href="#" class="rth-toggle-button"<i class="fas fa-plus-circle"></i></a>',
+            rowClickToggle: false,
+            /**
+             * bool, whether to put a "toggle all" button in the first header row (see the contentRowStartIndex option) of the plus column.
+             * Clicking this button expands all the rows, or collapses them all if they are all expanded already.
+             *
+             * If true, the toggleAllButtonContent option is used as the inner content of the plus column cell of the first header row
+             * (instead of the extraColumnHeaderContent option).
+             */
+            toggleAllButton: false,
+            /**
+             * The html inner content of the plus column cell of the first header row, when the toggleAllButton option is true.
+             *
+             * The ".rth-toggle-all-button" css class MUST be added to your markup on the element that will
+             * be used to toggle all the rows.
+             */
+            toggleAllButtonContent: '<button type="button" class="rth-toggle-all-button"><i class="fas fa-plus-square" aria-hidden="true"></i></button>',
+            /**
+             * string, the accessible label (aria-label) of the toggle buttons, used if they don't have any text.
+             */
+            toggleButtonLabel: 'Show or hide the row details',
+            /**
+             * string, the accessible label (aria-label) of the toggle all button, used if it doesn't have any text.
+             */
+            toggleAllButtonLabel: 'Show or hide the details of all rows',
+            /**
+             * string|null, the message read by the screen readers when some columns become hidden (or visible again),
+             * the %s tag being replaced with the labels of the hidden columns.
+             *
+             * The message is put in a visually hidden live region (aria-live="polite") added after the table
+             * (it's hidden with inline styles, so the css file is not required).
+             * Set this to null to disable the live region.
+             */
+            hiddenColumnsMessage: 'Hidden columns: %s. Use the row toggle buttons to show them.',
+            /**
+             * string, the message read by the screen readers when all the columns become visible again
+             * (see the hiddenColumnsMessage option).
+             */
+            noHiddenColumnsMessage: 'All columns are visible.',
             /**
              *
              * array|string.
@@ -630,6 +4189,10 @@ if ('undefined' === typeof ResponsiveTableHelper) {
              * (makes more semantic sense anyway at least ltr readers), and use this array
              * by putting higher index first...
              *
+             * Note: the indexes follow the reading order (i.e. the order of the cells in the html), not the visual order:
+             * in a right-to-left table (see the direction option), the 0 index is the rightmost column, and so putting
+             * the higher indexes first collapses the columns from the left side (the end of the line for rtl readers).
+             *
              *
              * It it's a string
              * -------------
@@ -641,6 +4204,8 @@ if ('undefined' === typeof ResponsiveTableHelper) {
              *      This option is basically equivalent to an array containing all your columns except the last one,
              *      and ordered from the highest index to the lowest, so that the columns on the right collapse first
              *      (with the exception of the last column which never collapses).
+             *      In a right-to-left table, that's the columns on the left which collapse first (the last column,
+             *      which never collapses, being the leftmost one).
              *
              *
              *
@@ -658,13 +4223,76 @@ if ('undefined' === typeof ResponsiveTableHelper) {
              * The 0 index represents your first column (i.e. the extra column added by this tool and containing the plus toggle doesn't count)
              */
             expandedColumnFilterIndexes: [],
+            /**
+             * string, how the content of the cells is displayed in the sub rows, one of:
+             *
+             * - copy: the sub row contains a copy of the html of the cells.
+             *      This is fine for static content, but the copies are dead: the event handlers and jquery data are lost,
+             *      and a form field ends up twice in the page (the ids are removed from the copies though).
+             * - move: the content of the cells (the actual nodes) is moved into the sub row, and moved back to its original
+             *      cell when the row is collapsed or when the column is shown again.
+             *      Use this if your cells contain interactive content (inputs, checkboxes, widgets, ...).
+             */
+            subRowMode: 'copy',
+            /**
+             * string, the name of the layout used to render the content of the sub rows, one of:
+             *
+             * - table: a table of label/value rows
+             * - dl: a definition list
+             * - cards: a grid of cards
+             *
+             * You can also add your own layouts to the ResponsiveTableHelper.subRowLayouts object.
+             * This option is ignored if the subRowRenderer option is set.
+             */
+            subRowLayout: 'table',
+            /**
+             * function(jTr, cells, labels), a callback returning the content of the sub row of the given row (jTr),
+             * as an html string, a dom element or a jquery object.
+             * Inside the callback, "this" is the ResponsiveTableHelper instance.
+             *
+             * - cells: array of objects, one per cell of the row (the plus column doesn't count), each having the following properties:
+             *      - index: the 0-based index of the (first) column of the cell (the plus column doesn't count)
+             *      - span: the number of columns covered by the cell
+             *      - jCell: the cell (jquery object, or an array containing the cell without jquery, see the wrap method)
+             *      - label: the label of the column (escaped, see the escapeLabels option)
+             *      - html: the html content of the cell (without the id attributes and the toggle buttons of the nested tables, empty in "move" mode, see the subRowMode option)
+             *      - hidden: bool, whether the column of the cell is currently hidden (i.e. the item is displayed in the sub row)
+             *      - itemAttributes: the attributes to put on the item element (see below), as an html string
+             * - labels: the labels of all the columns (escaped, see the escapeLabels option)
+             *
+             * You should render an item for every cell (not only the hidden ones), because the sub row is updated live
+             * as the table is resized. The contract is:
+             *
+             * - each item element must have the data-rth-column and data-rth-span attributes (use the itemAttributes property).
+             *      This tool shows/hides the items depending on the hidden columns.
+             * - in "move" mode, the element receiving the content of the cell must have the data-rth-value attribute
+             *      (it can be the item element itself)
+             *
+             * Example:
+             *
+             * ```js
+             * subRowRenderer: function (jTr, cells, labels) {
+             *     var s = '<ul>';
+             *     cells.forEach(function (cell) {
+             *         s += '<li ' + cell.itemAttributes + '><b>' + cell.label + '</b>: <span data-rth-value>' + cell.html + '</span></li>';
+             *     });
+             *     return s + '</ul>';
+             * },
+             * ```
+             */
+            subRowRenderer: null,
+            /**
+             * bool, whether to escape the labels (html special chars) before inserting them in the sub rows.
+             * Set this to false if your labels (see the columnLabels option) contain html.
+             */
+            escapeLabels: true,
             /**
              * @param auto: array|auto
              * The labels of the columns. This will be used in the extra content rows generated below the table rows
              * when the table is shrunk down.
              *
              * If you use the auto value, this tool will use the text (jquery.text function) of your table's first row
-             * as labels. Otherwise, you need to specify them manually.
+             * (or the row defined by the labelRowIndex option) as labels. Otherwise, you need to specify them manually.
              *
              *
              */
@@ -676,7 +4304,7 @@ if ('undefined' === typeof ResponsiveTableHelper) {
              * A secure padding to add to the available width (in the computation algorithm).
              * Basically the more padding you add, the less likely you are going to have a column
              * split by the right side of your window.
-             * The "auto" special value will automatically set the value to the width of the last column.
+             * The "auto" special value will automatically set the value to the width of the last column (the plus column excluded).
              * The default value is now 0 (I experienced problems with the auto value, not showing the max number of columns).
              */
             padding: 0,
@@ -697,6 +4325,259 @@ if ('undefined' === typeof ResponsiveTableHelper) {
              *
              */
             breakpoints: [],
+            /**
+             * array of objects, the configuration profiles, for instance a profile for the phones and another one for the tablets:
+             *
+             * ```js
+             * profiles: [
+             *     {name: 'phone', maxWidth: 575, collapsibleColumnIndexes: [4, 3, 2], expandedColumnFilterIndexes: [0]},
+             *     {name: 'tablet', minWidth: 576, maxWidth: 991, collapsibleColumnIndexes: [3, 4]},
+             * ],
+             * ```
+             *
+             * Each profile has:
+             * - minWidth: number (optional), the profile is active if the width is at least minWidth
+             * - maxWidth: number (optional), the profile is active if the width is at most maxWidth
+             * - name: string (optional), to tell the profiles apart (see the getProfile method and the onProfileChanged option)
+             * - any of the collapsibleColumnIndexes, expandedColumnFilterIndexes, columnLabels and padding options,
+             *      which override the option of the same name while the profile is active
+             *
+             * The width is the window width or the width of the table container, see the profileWidth option.
+             * The first profile matching the width is active (if none matches, the options apply as they are), and the table
+             * is refreshed whenever another profile becomes active.
+             */
+            profiles: [],
+            /**
+             * string, the width used to choose the active profile (see the profiles option):
+             * - window: the window width
+             * - container: the width of the table container (see the jTableContainer option)
+             */
+            profileWidth: 'window',
+            /**
+             * null|int, the number of content rows measured to compute the min widths of the columns
+             * (in addition to the header and footer rows, and to the rows holding the longest text of each column).
+             * See the getMeasureRows method.
+             *
+             * With null, all the rows are measured (which can be slow on tables with thousands of rows).
+             */
+            measureRowCount: 50,
+            /**
+             * null|string, the nonce attribute of the style element generated by this tool (see the updateColumnStyle method),
+             * if your Content Security Policy requires one for the inline styles.
+             */
+            styleNonce: null,
+            /**
+             * bool, whether to watch the table for rows inserted or removed by other scripts (using a MutationObserver),
+             * and refresh this tool automatically when that happens.
+             *
+             * This is useful if your rows are replaced by a script you don't control (a live search widget for instance),
+             * as you don't need to call the refresh method manually anymore.
+             *
+             * Note: this option is ignored by browsers which don't support MutationObserver.
+             */
+            observeMutations: false,
+            /**
+             * bool, whether to use the container mode.
+             *
+             * By default, this tool assumes that the table container grows and shrinks pixel for pixel with the window,
+             * and so it computes the available width from the window resize events.
+             * This doesn't work if the container changes width while the window doesn't (a collapsible sidebar,
+             * a split pane, a flex/grid layout, a modal opened after the page load...).
+             *
+             * In container mode, this tool watches the width of the container directly (using a ResizeObserver),
+             * and redraws the table whenever it changes.
+             * The breakpoints option still works in this mode (it's still based on the window width).
+             *
+             * Note: the container's width must not depend on the table's width, otherwise both will keep resizing each other.
+             * Note: browsers which don't support ResizeObserver fall back to the window based computation.
+             */
+            observeContainer: false,
+            /**
+             * null|int|auto, the width (in pixels) below which the table switches to the card mode.
+             *
+             * In card mode, the table is displayed as a stack of cards (one card per row), each card being made of
+             * label/value pairs (the labels come from the columnLabels option).
+             * The header rows and the plus column are hidden, and no column is collapsed.
+             * The normal column hiding comes back as soon as the width grows above the threshold again.
+             *
+             * The width compared to the threshold is the width of the container (see the jTableContainer option).
+             * The "auto" special value switches to the card mode only when the table still overflows with all
+             * the collapsible columns hidden.
+             * With null (the default), the card mode is never used.
+             *
+             * Note: the card mode needs the responsive-table-helper.css file (or your own css for the rth-card-mode class).
+             */
+            cardModeThreshold: null,
+            /**
+             * string, how the columns to collapse are chosen amongst the collapsible columns (see the collapsibleColumnIndexes option)
+             * when the table doesn't fit:
+             *
+             * - priority: the columns collapse in the order of the collapsibleColumnIndexes option, until the table fits.
+             *      That's the historical behaviour, it might hide a wide important column while hiding a narrow
+             *      less important one would have been enough.
+             * - fewestColumns: hides as few columns as possible (using their measured widths), and amongst the possible
+             *      sets of columns, the least important one (see the columnWeights option).
+             * - weighted: hides the least important set of columns (the lowest sum of weights, see the columnWeights option)
+             *      which frees enough width.
+             */
+            collapseStrategy: 'priority',
+            /**
+             * string, the direction of the table: auto|ltr|rtl.
+             *
+             * With auto, the direction is detected from the table (the dir attribute of the table or of its ancestors,
+             * or the css direction property).
+             * With ltr or rtl, the table gets the corresponding dir attribute.
+             *
+             * All the column indexes used by this tool follow the reading order, and so does the plus column,
+             * which is the first column: in a right-to-left table, it's the rightmost column, the collapsible columns
+             * collapse from the left (see the collapsibleColumnIndexes option), and the sub rows are right-to-left too.
+             * The table gets the rth-rtl class, so that you can adapt your own css if needed.
+             */
+            direction: 'auto',
+            /**
+             * null|array|object, the weight (importance) of the columns, used by the fewestColumns and weighted
+             * collapse strategies (see the collapseStrategy option): 0-based column index => number,
+             * the higher the weight, the more important the column.
+             *
+             * The weight can also be set with the data-rth-weight attribute on the header cell.
+             * The columns without weight get their rank in the collapse order (1 for the column which collapses first,
+             * 2 for the next one, and so on).
+             */
+            columnWeights: null,
+            /**
+             * null|string|function(jTr), identifies the content rows in the state (see the getState method).
+             *
+             * - string: the name of an attribute of the tr, for instance data-id
+             * - function: a callback returning the key of the given tr (jquery object, or an array containing the tr without jquery), "this" being the ResponsiveTableHelper instance
+             * - null: the key is the index of the row amongst the content rows
+             *
+             * Setting this option enables the state: the expanded rows are remembered by key, and they are expanded
+             * again after a refresh (an ajax refresh or a pagination for instance), even if the rows were replaced.
+             * Without it, the expanded rows are only remembered by index, and only if the stateStorage option is set.
+             */
+            rowKey: null,
+            /**
+             * null|string|object, where to save the state (see the getState method), so that it survives a page reload:
+             *
+             * - sessionStorage: the window.sessionStorage
+             * - localStorage: the window.localStorage
+             * - object: your own storage, implementing the getItem(key) and setItem(key, value) methods of the Storage api
+             *      (the value being a json string)
+             * - null: the state is not saved
+             *
+             * The state is restored automatically by the listen method.
+             */
+            stateStorage: null,
+            /**
+             * null|string, the key under which the state is saved (see the stateStorage option).
+             * With null, the key is built from the page path and the id of the table (or the instance number if the
+             * table has no id): you should set it if the same table can be on different pages.
+             */
+            stateStorageKey: null,
+            /**
+             * bool, whether to display the column picker: a button opening a menu which lets the user choose,
+             * for each column, whether it collapses automatically, never collapses (pinned) or is always hidden.
+             * See the setColumnVisibility method.
+             *
+             * The choices are part of the state (see the getState method), and so they can be saved with the stateStorage option.
+             */
+            columnPicker: false,
+            /**
+             * null|dom element|jquery object|selector, the element to append the column picker to.
+             * With null, the column picker is inserted just before the table.
+             */
+            columnPickerContainer: null,
+            /**
+             * The texts of the column picker.
+             */
+            columnPickerTexts: {
+                button: 'Columns',
+                auto: 'Auto',
+                pinned: 'Always visible',
+                hidden: 'Hidden',
+            },
+            /**
+             * The callbacks below are called when something happens in this tool.
+             *
+             * Each callback has an equivalent jquery event triggered on the table, prefixed with "rth:"
+             * (i.e. the onRowExpanded callback and the "rth:rowExpanded" event are the same thing), use whichever you prefer:
+             *
+             * ```js
+             * $("#my-table").on("rth:rowExpanded", function (e, jTr, jSubRow) {
+             *     jSubRow.find('[data-toggle="tooltip"]').tooltip();
+             * });
+             * ```
+             *
+             * Inside the callbacks, "this" is the ResponsiveTableHelper instance.
+             */
+            /**
+             * function(), called once, when the first call to the listen method is done.
+             */
+            onReady: null,
+            /**
+             * function(), called at the beginning of every redraw (i.e. very often, on every resize event).
+             */
+            onBeforeRedraw: null,
+            /**
+             * function(hiddenColumnIndexes, visibleColumnIndexes), called when a redraw changes the hidden columns
+             * (and on the first redraw).
+             * Both arguments are arrays of 0-based column indexes (the plus column doesn't count), sorted in ascending order.
+             */
+            onColumnsChanged: null,
+            /**
+             * function(jTr, jSubRow), called when a sub row is added below a row (jTr).
+             * This is the place to initialize the widgets (tooltips, datepickers, ...) inside the sub row.
+             *
+             * Note: the sub rows of the expanded rows are rebuilt when the refresh method is called, and so onRowCollapsed
+             * then onRowExpanded are called again for each of them.
+             */
+            onRowExpanded: null,
+            /**
+             * function(jTr, jSubRow), called when the sub row of a row (jTr) is collapsed, just before it's removed.
+             * This is the place to clean up the widgets inside the sub row.
+             */
+            onRowCollapsed: null,
+            /**
+             * function(isCardMode), called when the table switches to or from the card mode (see the cardModeThreshold option).
+             */
+            onCardModeChanged: null,
+            /**
+             * function(profile, previousProfile), called when another profile becomes active (see the profiles option).
+             * Both arguments are null when no profile is active.
+             */
+            onProfileChanged: null,
+            /**
+             * function(index, visibility, columnVisibility), called when the visibility of a column is changed
+             * by the user (see the setColumnVisibility method).
+             * The columnVisibility argument contains the visibility of all the columns which are not "auto"
+             * (0-based column index => hidden|pinned), you can save it and restore it with the setState method.
+             */
+            onColumnVisibilityChanged: null,
         };
-    })();
-}
\ No newline at end of file
+
+
+        return ResponsiveTableHelper;
+    };
+
+
+    /**
+     * The tool is exported as an AMD or CommonJS module when a loader is available (bundlers), and is always available
+     * as window.ResponsiveTableHelper in a browser, so that a page loading it twice (with a script tag and in a bundle
+     * for instance) still has only one instance per table (see the ResponsiveTableHelper.getInstance method).
+     *
+     * Like jquery, the AMD module is named (responsive-table-helper), so that RequireJS doesn't complain about
+     * a mismatched anonymous define when the file is also loaded with a script tag.
+     * Map the name to the file in your loader config: paths: {'responsive-table-helper': 'path/to/responsive-table-helper'}.
+     */
+    var ResponsiveTableHelper = root.ResponsiveTableHelper || factory(root);
+    if (root.window === root) {
+        root.ResponsiveTableHelper = ResponsiveTableHelper;
+    }
+    if ('function' === typeof define && define.amd) {
+        define('responsive-table-helper', [], function () {
+            return ResponsiveTableHelper;
+        });
+    } else if ('object' === typeof module && module.exports) {
+        module.exports = ResponsiveTableHelper;
+    }
+})('undefined' !== typeof window ? window : this);
@@ -0,0 +1,162 @@
+/**
+ * Checks of the ResponsiveTableHelper.computeLayout function, which doesn't need a browser.
+ *
+ * Run it with node (no dependency needed):
+ *
+ * ```bash
+ * node tests/compute-layout.test.js
+ * ```
+ */
+var assert = require('assert');
+var ResponsiveTableHelper = require('../assets/map/www/libs/universe/Ling/JResponsiveTableHelper/responsive-table-helper.js');
+
+
+var nbChecks = 0;
+
+function check(title, params, expected) {
+    var layout = ResponsiveTableHelper.computeLayout(params);
+    Object.keys(expected).forEach(function (key) {
+        assert.deepStrictEqual(layout[key], expected[key], title + ': ' + key);
+    });
+    nbChecks++;
+}
+
+
+/**
+ * The example of the computeLayout comments.
+ */
+check('the table doesn\'t fit', {
+    minWidths: [40, 120, 200, 150],
+    availableWidth: 300,
+    collapsibleColumnIndexes: [3, 2],
+}, {
+    hiddenColumnIndexes: [2, 3],
+    visibleColumnIndexes: [0, 1],
+    collapsedColumnIndexes: [3, 2],
+    toggleColumn: true,
+    cardMode: false,
+});
+
+check('the table fits', {
+    minWidths: [40, 120, 200, 150],
+    availableWidth: 510,
+    collapsibleColumnIndexes: [3, 2],
+}, {
+    hiddenColumnIndexes: [],
+    visibleColumnIndexes: [0, 1, 2, 3],
+    collapsedColumnIndexes: [],
+    toggleColumn: false,
+});
+
+check('the toggle column width counts', {
+    minWidths: [40, 120, 200, 150],
+    availableWidth: 510,
+    toggleColumnWidth: 20,
+    collapsibleColumnIndexes: [3, 2],
+}, {
+    collapsedColumnIndexes: [3],
+    toggleColumn: true,
+});
+
+check('the columns hidden by the user free their width', {
+    minWidths: [40, 120, 200, 150],
+    availableWidth: 360,
+    collapsibleColumnIndexes: [3, 2],
+    columnVisibility: {2: 'hidden'},
+}, {
+    hiddenColumnIndexes: [2],
+    collapsedColumnIndexes: [],
+    toggleColumn: false,
+});
+
+check('the pinned columns don\'t collapse', {
+    minWidths: [40, 120, 200, 150],
+    availableWidth: 300,
+    collapsibleColumnIndexes: [3, 2, 1],
+    columnVisibility: {3: 'pinned'},
+}, {
+    hiddenColumnIndexes: [1, 2],
+    collapsedColumnIndexes: [2, 1],
+});
+
+check('the columns filtered out of the sub rows don\'t need the toggle column', {
+    minWidths: [40, 120, 200, 150],
+    availableWidth: 400,
+    collapsibleColumnIndexes: [3, 2],
+    expandedColumnFilterIndexes: [3],
+}, {
+    collapsedColumnIndexes: [3],
+    toggleColumn: false,
+});
+
+check('weighted strategy', {
+    minWidths: [40, 120, 200, 150],
+    availableWidth: 350,
+    collapsibleColumnIndexes: [1, 2, 3],
+    collapseStrategy: 'weighted',
+    columnWeights: {1: 5, 2: 1, 3: 5},
+}, {
+    collapsedColumnIndexes: [2],
+});
+
+check('card mode', {
+    minWidths: [40, 120, 200, 150],
+    availableWidth: 300,
+    collapsibleColumnIndexes: [3, 2],
+    columnVisibility: {0: 'hidden'},
+    cardModeThreshold: 400,
+    padding: 20,
+}, {
+    hiddenColumnIndexes: [0],
+    collapsedColumnIndexes: [],
+    toggleColumn: false,
+    cardMode: true,
+});
+
+
+/**
+ * The widths are measured with sub-pixel precision: the fractional widths must not collapse more columns than needed.
+ */
+check('fractional widths, fewestColumns', {
+    minWidths: {0: 100, 1: 50.6, 2: 50.6, 3: 10},
+    availableWidth: 110.3, // 100.9 px missing: columns 1 and 2 free 101.2 px
+    collapsibleColumnIndexes: [3, 1, 2],
+    collapseStrategy: 'fewestColumns',
+}, {
+    collapsedColumnIndexes: [1, 2],
+    hiddenColumnIndexes: [1, 2],
+});
+
+check('fractional widths, a fraction of a pixel missing', {
+    minWidths: {0: 100, 1: 50.6, 2: 50.6, 3: 10},
+    availableWidth: 200.8, // 10.4 px missing: column 3 is not enough
+    collapsibleColumnIndexes: [1, 2, 3],
+    collapseStrategy: 'fewestColumns',
+}, {
+    collapsedColumnIndexes: [1],
+});
+
+
+check('the collapsible columns not in minWidths are ignored', {
+    minWidths: {0: 40, 1: 120, 2: 200},
+    availableWidth: 300,
+    collapsibleColumnIndexes: [3, 2],
+}, {
+    hiddenColumnIndexes: [2],
+    visibleColumnIndexes: [0, 1],
+    collapsedColumnIndexes: [2],
+});
+
+
+assert.throws(function () {
+    ResponsiveTableHelper.computeLayout({
+        minWidths: [40, 120],
+        availableWidth: 100,
+        collapsibleColumnIndexes: [1],
+        collapseStrategy: 'nope',
+    });
+}, /Unknown collapse strategy: nope/);
+nbChecks++;
+
+
+console.log('ok, ' + nbChecks + ' checks');